@@ -2,6 +2,13 @@ require("dotenv").config();
 
 const app = require("./src/app");
 const connectDB = require("./src/config/database");
+const User = require("./src/models/User");
+const {
+  startTrashPurgeJob,
+  stopTrashPurgeJob,
+} = require("./src/jobs/trashPurge");
+const { startExportJobs, stopExportJobs } = require("./src/jobs/noteExport");
+const { startReminderJob, stopReminderJob } = require("./src/jobs/reminders");
 
 // Validate required environment variables
 const requiredEnvVars = [
@@ -32,6 +39,14 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Accounts from before email verification keep logging in
+    await User.backfillEmailVerified();
+
+    // Start background jobs
+    startTrashPurgeJob();
+    startExportJobs();
+    startReminderJob();
+
     // Start HTTP server
     const server = app.listen(PORT, () => {
       console.log("=================================");
@@ -70,6 +85,11 @@ const startServer = async () => {
     const gracefulShutdown = (signal) => {
       console.log(`\n${signal} received. Starting graceful shutdown...`);
 
+      // Stop background jobs
+      stopTrashPurgeJob();
+      stopExportJobs();
+      stopReminderJob();
+
       server.close(async (err) => {
         if (err) {
           console.error("Error during server shutdown:", err);
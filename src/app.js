@@ -9,6 +9,14 @@ const authRoutes = require("./routes/auth");
 const notesRoutes = require("./routes/notes");
 const subscriptionRoutes = require("./routes/subscription");
 const healthRoutes = require("./routes/health");
+const accountRoutes = require("./routes/account");
+const notebookRoutes = require("./routes/notebooks");
+const publicRoutes = require("./routes/public");
+const tagRoutes = require("./routes/tags");
+const notificationRoutes = require("./routes/notifications");
+const eventRoutes = require("./routes/events");
+const templateRoutes = require("./routes/templates");
+const calendarRoutes = require("./routes/calendar");
 
 // Import validation middleware
 const { validate } = require("./utils/validators");
@@ -67,7 +75,12 @@ const corsOptions = {
     "Authorization",
     "Cache-Control",
     "Pragma",
+    "X-Share-Password",
+    "If-Match",
+    "If-None-Match",
+    "Last-Event-ID",
   ],
+  exposedHeaders: ["ETag"],
 };
 
 app.use(cors(corsOptions));
@@ -100,6 +113,58 @@ const authLimiter = rateLimit({
   },
 });
 
+// Two-factor codes are short, so guesses get a tight limit
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each IP to 10 code checks per windowMs
+  message: {
+    success: false,
+    message: "Too many verification attempts, please try again later.",
+    timestamp: new Date().toISOString(),
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Routes sending emails or checking emailed tokens get their own, tighter limit
+const emailTokenLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Limit each IP to 10 of these requests per windowMs
+  message: {
+    success: false,
+    message: "Too many attempts, please try again later.",
+    timestamp: new Date().toISOString(),
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Public link passwords can be guessed anonymously, so failed views are
+// limited per IP and per link
+const publicLinkLimiterOptions = {
+  message: {
+    success: false,
+    message: "Too many attempts, please try again later.",
+    timestamp: new Date().toISOString(),
+  },
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+};
+
+const publicLinkIpLimiter = rateLimit({
+  ...publicLinkLimiterOptions,
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each IP to 10 failed views per windowMs
+});
+
+const publicLinkTokenLimiter = rateLimit({
+  ...publicLinkLimiterOptions,
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 30, // Limit each link to 30 failed views per windowMs
+  keyGenerator: (req) => req.params.token,
+});
+
 /**
  * Body Parsing Middleware
  */
@@ -173,10 +238,36 @@ app.use((req, res, next) => {
 app.use("/health", healthRoutes);
 
 // API routes with rate limiting
+app.use(
+  [
+    "/auth/forgot-password",
+    "/auth/reset-password",
+    "/auth/verify-email/resend",
+  ],
+  emailTokenLimiter
+);
+app.use(
+  [
+    "/auth/login/2fa",
+    "/auth/2fa/verify",
+    "/auth/2fa/recovery-codes",
+    "/auth/2fa/disable",
+  ],
+  twoFactorLimiter
+);
 app.use("/auth", authLimiter, authRoutes);
 
 app.use("/notes", notesRoutes);
+app.use("/notebooks", notebookRoutes);
+app.use("/templates", templateRoutes);
+app.use("/tags", tagRoutes);
+app.use("/notifications", notificationRoutes);
+app.use("/events", eventRoutes);
+app.use("/calendar", calendarRoutes);
+app.use("/public/notes/:token", publicLinkIpLimiter, publicLinkTokenLimiter);
+app.use("/public", publicRoutes);
 app.use("/subscription", subscriptionRoutes);
+app.use("/account", accountRoutes);
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -189,7 +280,14 @@ app.get("/", (req, res) => {
       health: "/health",
       auth: "/auth",
       notes: "/notes",
+      notebooks: "/notebooks",
+      templates: "/templates",
+      tags: "/tags",
+      notifications: "/notifications",
+      events: "/events",
+      calendar: "/calendar",
       subscription: "/subscription",
+      account: "/account",
     },
   });
 });
@@ -4,7 +4,9 @@ const JwtStrategy = require("passport-jwt").Strategy;
 const ExtractJwt = require("passport-jwt").ExtractJwt;
 
 const User = require("../models/User");
+const Session = require("../models/Session");
 const { comparePassword } = require("../utils/helpers");
+const { EMAIL_VERIFICATION_POLICIES } = require("../utils/constants");
 
 // Local Strategy for login
 passport.use(
@@ -39,6 +41,18 @@ passport.use(
           return done(null, false, { message: "Invalid email or password" });
         }
 
+        // Tenants may require a verified email address before login
+        if (
+          user.account.settings.emailVerificationPolicy ===
+            EMAIL_VERIFICATION_POLICIES.LOGIN &&
+          !user.emailVerified
+        ) {
+          return done(null, false, {
+            message: "Please verify your email address before logging in",
+            emailVerificationRequired: true,
+          });
+        }
+
         // Update last login
         user.lastLogin = new Date();
         await user.save();
@@ -75,6 +89,15 @@ passport.use(
           return done(null, false);
         }
 
+        // Check the device session of the token was not revoked
+        const session = payload.sid
+          ? await Session.findActive(payload.sid)
+          : null;
+
+        if (!session || !session.user.equals(user._id)) {
+          return done(null, false);
+        }
+
         // Check if account is active
         if (!user.account || !user.account.isActive || user.account.isDeleted) {
           return done(null, false);
@@ -0,0 +1,93 @@
+const Note = require("../models/Note");
+const { sendResponse, sendError } = require("../utils/helpers");
+const { EMAIL_VERIFICATION_POLICIES } = require("../utils/constants");
+
+/**
+ * Format account settings for API responses
+ */
+const formatSettings = (account) => ({
+  trashRetentionDays: account.settings.trashRetentionDays,
+  publicLinksEnabled: account.settings.publicLinksEnabled,
+  countArchivedNotes: account.settings.countArchivedNotes,
+  emailVerificationPolicy: account.settings.emailVerificationPolicy,
+  requireTwoFactor: account.settings.requireTwoFactor,
+});
+
+/**
+ * Get account settings
+ * GET /account/settings
+ */
+const getAccountSettings = async (req, res) => {
+  try {
+    const account = req.account;
+
+    sendResponse(res, 200, true, "Account settings retrieved successfully", {
+      settings: formatSettings(account),
+    });
+  } catch (error) {
+    console.error("Get account settings error:", error);
+    sendError(res, 500, "Failed to retrieve account settings");
+  }
+};
+
+/**
+ * Update account settings (Admin only)
+ * PUT /account/settings
+ */
+const updateAccountSettings = async (req, res) => {
+  try {
+    const account = req.account;
+    const countedArchivedNotes = account.settings.countArchivedNotes;
+
+    // Admins would lock themselves out of everything but 2FA setup
+    if (req.body.requireTwoFactor && !req.user.twoFactorEnabled) {
+      return sendError(
+        res,
+        400,
+        "Enable two-factor authentication for yourself before requiring it"
+      );
+    }
+
+    // Nor should they require a verified email they do not have themselves
+    if (
+      req.body.emailVerificationPolicy &&
+      req.body.emailVerificationPolicy !== EMAIL_VERIFICATION_POLICIES.NONE &&
+      !req.user.emailVerified
+    ) {
+      return sendError(
+        res,
+        400,
+        "Verify your own email address before requiring verification"
+      );
+    }
+
+    for (const [key, value] of Object.entries(req.body)) {
+      account.settings[key] = value;
+    }
+
+    // Archived notes move in or out of the note count
+    if (account.settings.countArchivedNotes !== countedArchivedNotes) {
+      account.noteCount = await Note.countDocuments({
+        account: account._id,
+        isDeleted: false,
+        ...(account.settings.countArchivedNotes
+          ? {}
+          : { isArchived: { $ne: true } }),
+      });
+    }
+
+    await account.save();
+
+    sendResponse(res, 200, true, "Account settings updated successfully", {
+      settings: formatSettings(account),
+    });
+  } catch (error) {
+    console.error("Update account settings error:", error);
+    sendError(res, 500, "Failed to update account settings");
+  }
+};
+
+module.exports = {
+  getAccountSettings,
+  updateAccountSettings,
+};
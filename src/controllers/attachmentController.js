@@ -0,0 +1,293 @@
+const path = require("path");
+const Attachment = require("../models/Attachment");
+const { sendResponse, sendError } = require("../utils/helpers");
+const {
+  SUBSCRIPTION_LIMITS,
+  SHARE_PERMISSIONS,
+  ATTACHMENT_MIME_TYPES,
+} = require("../utils/constants");
+const { getStorage } = require("../storage");
+const { findAccessibleNote } = require("../utils/noteAccess");
+
+// Leading bytes of binary types, so a declared type cannot lie about content
+const FILE_SIGNATURES = {
+  "image/png": [Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+  "image/jpeg": [Buffer.from([0xff, 0xd8, 0xff])],
+  "image/gif": [Buffer.from("GIF87a"), Buffer.from("GIF89a")],
+  "application/pdf": [Buffer.from("%PDF")],
+  "application/zip": [Buffer.from([0x50, 0x4b, 0x03, 0x04])],
+};
+
+/**
+ * Format an attachment for API responses
+ */
+const formatAttachment = (attachment) => ({
+  id: attachment._id,
+  fileName: attachment.fileName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  uploadedBy: attachment.uploadedBy,
+  downloadUrl: `/notes/${attachment.note}/attachments/${attachment._id}`,
+  createdAt: attachment.createdAt,
+});
+
+/**
+ * Check the content of a file matches its declared type
+ */
+const matchesSignature = (file) => {
+  const signatures = FILE_SIGNATURES[file.mimetype];
+  if (!signatures) return true;
+
+  return signatures.some((signature) =>
+    file.buffer.subarray(0, signature.length).equals(signature)
+  );
+};
+
+/**
+ * Upload an attachment to a note
+ * POST /notes/:id/attachments (multipart field "file")
+ */
+const uploadAttachment = async (req, res) => {
+  try {
+    const file = req.file;
+    const user = req.user;
+    const account = req.account;
+
+    if (!file) {
+      return sendError(res, 400, "File is required");
+    }
+
+    if (!ATTACHMENT_MIME_TYPES.includes(file.mimetype)) {
+      return sendError(res, 415, "File type is not allowed");
+    }
+
+    if (!matchesSignature(file)) {
+      return sendError(res, 415, "File content does not match its type");
+    }
+
+    const limits = SUBSCRIPTION_LIMITS[account.plan];
+
+    if (file.size > limits.maxAttachmentSize) {
+      return sendError(
+        res,
+        413,
+        "File exceeds the maximum attachment size for your plan",
+        { maxAttachmentSize: limits.maxAttachmentSize }
+      );
+    }
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    if (!note.hasPermission(user, SHARE_PERMISSIONS.EDITOR)) {
+      return sendError(
+        res,
+        403,
+        "You do not have permission to add attachments to this note"
+      );
+    }
+
+    if (!(await account.reserveStorage(file.size, limits.maxStorage))) {
+      return sendError(
+        res,
+        403,
+        "Storage limit exceeded for your current plan",
+        {
+          currentPlan: account.plan,
+          storageUsed: account.storageUsed,
+          maxStorage: limits.maxStorage,
+          upgradeRequired: true,
+        }
+      );
+    }
+
+    const storage = getStorage();
+    const attachment = new Attachment({
+      account: account._id,
+      note: note._id,
+      uploadedBy: user._id,
+      fileName: path.basename(file.originalname).slice(0, 255),
+      mimeType: file.mimetype,
+      size: file.size,
+      storageDriver: storage.driver,
+    });
+    attachment.storageKey = `${account._id}/${note._id}/${attachment._id}`;
+
+    try {
+      await storage.save(attachment.storageKey, file.buffer, {
+        contentType: file.mimetype,
+      });
+    } catch (error) {
+      await account.releaseStorage(file.size);
+      throw error;
+    }
+
+    try {
+      await attachment.save();
+    } catch (error) {
+      // Do not leave orphaned files or reserved bytes behind
+      await storage.remove(attachment.storageKey);
+      await account.releaseStorage(file.size);
+      throw error;
+    }
+
+    sendResponse(res, 201, true, "Attachment uploaded successfully", {
+      attachment: formatAttachment(attachment),
+      storage: {
+        used: account.storageUsed,
+        limit: limits.maxStorage,
+      },
+    });
+  } catch (error) {
+    console.error("Upload attachment error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to upload attachment");
+  }
+};
+
+/**
+ * Get attachments of a note
+ * GET /notes/:id/attachments
+ */
+const getAttachments = async (req, res) => {
+  try {
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    const attachments = await Attachment.find({ note: note._id }).sort({
+      createdAt: 1,
+    });
+
+    sendResponse(res, 200, true, "Attachments retrieved successfully", {
+      noteId: note._id,
+      attachments: attachments.map(formatAttachment),
+    });
+  } catch (error) {
+    console.error("Get attachments error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to retrieve attachments");
+  }
+};
+
+/**
+ * Download an attachment
+ * GET /notes/:id/attachments/:attachmentId
+ */
+const downloadAttachment = async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    const attachment = await Attachment.findOne({
+      _id: attachmentId,
+      note: note._id,
+    });
+
+    if (!attachment) {
+      return sendError(res, 404, "Attachment not found");
+    }
+
+    let stream;
+    try {
+      stream = await getStorage(attachment.storageDriver).getStream(
+        attachment.storageKey
+      );
+    } catch (error) {
+      console.error("Read attachment file error:", error);
+      return sendError(res, 404, "Attachment file not found");
+    }
+
+    res.set("Content-Type", attachment.mimeType);
+    res.set("Content-Length", String(attachment.size));
+    res.set("Cache-Control", "private, no-cache");
+    res.attachment(attachment.fileName);
+
+    stream.on("error", (error) => {
+      console.error("Stream attachment error:", error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error("Download attachment error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid ID format");
+    }
+    sendError(res, 500, "Failed to download attachment");
+  }
+};
+
+/**
+ * Delete an attachment
+ * DELETE /notes/:id/attachments/:attachmentId
+ */
+const deleteAttachment = async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+    const user = req.user;
+    const account = req.account;
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    if (!note.hasPermission(user, SHARE_PERMISSIONS.EDITOR)) {
+      return sendError(
+        res,
+        403,
+        "You do not have permission to remove attachments from this note"
+      );
+    }
+
+    const attachment = await Attachment.findOne({
+      _id: attachmentId,
+      note: note._id,
+    });
+
+    if (!attachment) {
+      return sendError(res, 404, "Attachment not found");
+    }
+
+    await getStorage(attachment.storageDriver).remove(attachment.storageKey);
+    await attachment.deleteOne();
+
+    // Free the space used by the attachment
+    await account.releaseStorage(attachment.size);
+
+    sendResponse(res, 200, true, "Attachment deleted successfully", {
+      storage: {
+        used: account.storageUsed,
+        limit: SUBSCRIPTION_LIMITS[account.plan].maxStorage,
+      },
+    });
+  } catch (error) {
+    console.error("Delete attachment error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid ID format");
+    }
+    sendError(res, 500, "Failed to delete attachment");
+  }
+};
+
+module.exports = {
+  uploadAttachment,
+  getAttachments,
+  downloadAttachment,
+  deleteAttachment,
+};
@@ -2,16 +2,74 @@ const passport = require("passport");
 const User = require("../models/User");
 const Account = require("../models/Account");
 const Role = require("../models/Role");
+const Session = require("../models/Session");
 const {
-  generateToken,
   comparePassword,
+  generateSecureToken,
+  hashToken,
+  buildAppUrl,
   generateSlug,
   generateRandomString,
   sendResponse,
   sendError,
   formatPasswordFromName,
 } = require("../utils/helpers");
-const { ROLES, SUBSCRIPTION_PLANS } = require("../utils/constants");
+const {
+  ROLES,
+  SUBSCRIPTION_PLANS,
+  SESSION_REVOKE_REASONS,
+  EMAIL_VERIFICATION_POLICIES,
+} = require("../utils/constants");
+const {
+  getClientInfo,
+  createSession,
+  buildTokenResponse,
+  formatSession,
+} = require("../utils/sessions");
+const {
+  verifySecondFactor,
+  generateMfaChallenge,
+  verifyMfaChallenge,
+} = require("../utils/twoFactor");
+const { sendMail } = require("../mail");
+const {
+  passwordResetEmail,
+  emailVerificationEmail,
+} = require("../mail/templates");
+
+const MINUTE_IN_MS = 60 * 1000;
+const HOUR_IN_MS = 60 * MINUTE_IN_MS;
+
+/**
+ * Give a user a fresh email verification token and email the link to the
+ * pending address, or to the current one when no change is pending
+ * Returns whether the email could be sent, throws when links cannot be built
+ */
+const sendVerificationEmail = async (user) => {
+  const token = generateSecureToken();
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+  const url = buildAppUrl(`/verify-email/${token}`);
+
+  user.emailVerificationTokenHash = hashToken(token);
+  user.emailVerificationExpiresAt = new Date(Date.now() + hours * HOUR_IN_MS);
+  await user.save();
+
+  try {
+    await sendMail(
+      user.pendingEmail || user.email,
+      emailVerificationEmail({
+        name: user.name,
+        url,
+        expiresAt: user.emailVerificationExpiresAt,
+        isChange: !!user.pendingEmail,
+      })
+    );
+    return true;
+  } catch (error) {
+    console.error("Send verification email error:", error);
+    return false;
+  }
+};
 
 /**
  * Register new account with admin user
@@ -75,7 +133,17 @@ const register = async (req, res) => {
 
     await user.save();
 
-    sendResponse(res, 201, true, "Account created successfully");
+    // The account exists either way, a link can be requested again
+    let emailVerificationSent = false;
+    try {
+      emailVerificationSent = await sendVerificationEmail(user);
+    } catch (error) {
+      console.error("Send verification email error:", error);
+    }
+
+    sendResponse(res, 201, true, "Account created successfully", {
+      emailVerificationSent,
+    });
   } catch (error) {
     console.error("Registration error:", error);
     sendError(res, 500, "Registration failed");
@@ -95,7 +163,27 @@ const login = async (req, res, next) => {
       }
 
       if (!user) {
-        return sendError(res, 401, info?.message || "Invalid credentials");
+        return sendError(
+          res,
+          info?.emailVerificationRequired ? 403 : 401,
+          info?.message || "Invalid credentials"
+        );
+      }
+
+      // With 2FA on the password only earns a challenge for the code step
+      if (user.twoFactorEnabled) {
+        const challengeToken = generateMfaChallenge(user);
+
+        return sendResponse(
+          res,
+          200,
+          true,
+          "Two-factor authentication required",
+          {
+            mfaRequired: true,
+            challengeToken,
+          }
+        );
       }
 
       // Update last login and IP
@@ -103,19 +191,19 @@ const login = async (req, res, next) => {
       user.lastIP = req.ip || req.connection.remoteAddress;
       await user.save();
 
-      // Generate JWT token
-      const token = generateToken({
-        userId: user._id,
-        accountId: user.account._id,
-        role: user.role.roleName,
-      });
-
-      // Remove password from response
-      const userResponse = user.toJSON();
+      // Start a device session and issue its tokens
+      const { session, refreshToken } = await createSession(
+        user,
+        getClientInfo(req)
+      );
 
-      sendResponse(res, 200, true, "Login successful", {
-        token,
-      });
+      sendResponse(
+        res,
+        200,
+        true,
+        "Login successful",
+        buildTokenResponse(user, session, refreshToken)
+      );
     } catch (error) {
       console.error("Login error:", error);
       sendError(res, 500, "Login failed");
@@ -123,6 +211,67 @@ const login = async (req, res, next) => {
   })(req, res, next);
 };
 
+/**
+ * Complete a 2FA login with a TOTP or recovery code
+ * POST /auth/login/2fa
+ */
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyMfaChallenge(challengeToken);
+    if (!challenge) {
+      return sendError(res, 401, "Login challenge is invalid or has expired");
+    }
+
+    const user = await User.findById(challenge.userId)
+      .populate("account")
+      .populate("role");
+
+    if (
+      !user ||
+      !user.isActive ||
+      user.isDeleted ||
+      !user.twoFactorEnabled ||
+      challenge.iat * 1000 < user.tokensInvalidBefore.getTime()
+    ) {
+      return sendError(res, 401, "Login challenge is invalid or has expired");
+    }
+
+    if (!user.account || !user.account.isActive || user.account.isDeleted) {
+      return sendError(res, 401, "Account is inactive");
+    }
+
+    const { valid, usedRecoveryCode } = await verifySecondFactor(user._id, {
+      code,
+      recoveryCode,
+    });
+
+    if (!valid) {
+      return sendError(res, 401, "Invalid verification code");
+    }
+
+    // Update last login and IP
+    user.lastLogin = new Date();
+    user.lastIP = req.ip || req.connection.remoteAddress;
+    await user.save();
+
+    // Start a device session and issue its tokens
+    const { session, refreshToken } = await createSession(
+      user,
+      getClientInfo(req)
+    );
+
+    sendResponse(res, 200, true, "Login successful", {
+      ...buildTokenResponse(user, session, refreshToken),
+      ...(usedRecoveryCode ? { usedRecoveryCode } : {}),
+    });
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    sendError(res, 500, "Login failed");
+  }
+};
+
 /**
  * Get current user profile
  * GET /auth/profile
@@ -136,6 +285,9 @@ const getProfile = async (req, res) => {
         user_id: user._id,
         name: user.name,
         email_id: user.email,
+        email_verified: user.emailVerified,
+        two_factor_enabled: user.twoFactorEnabled,
+        pending_email: user.pendingEmail,
         is_active: user.is_active,
         role: user.role.roleName,
         created_at: user.created_at,
@@ -163,77 +315,255 @@ const getProfile = async (req, res) => {
 };
 
 /**
- * Invite user to account (Admin only)
- * POST /auth/invite
+ * Email a one-time password reset link
+ * POST /auth/forgot-password
+ * Always answers the same way so it cannot be used to probe for accounts
  */
-const inviteUser = async (req, res) => {
+const forgotPassword = async (req, res) => {
   try {
-    const { email, name, role = ROLES.MEMBER } = req.body;
-    const adminUser = req.user;
+    const { email } = req.body;
 
-    // Validate required fields
-    if (!email || !name) {
-      return sendError(res, 400, "Email and name are required");
+    // Fails for every email alike when links cannot be built
+    const resetUrl = buildAppUrl("/reset-password/");
+
+    const user = await User.findOne({
+      email,
+      isActive: true,
+      isDeleted: false,
+    }).populate("account");
+
+    if (user && user.account && user.account.isActive) {
+      const token = generateSecureToken();
+      const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+      // A new request replaces any earlier link
+      user.passwordResetTokenHash = hashToken(token);
+      user.passwordResetExpiresAt = new Date(
+        Date.now() + minutes * MINUTE_IN_MS
+      );
+      await user.save();
+
+      // Not awaited, so the response time does not reveal the account
+      sendMail(
+        user.email,
+        passwordResetEmail({
+          name: user.name,
+          url: `${resetUrl}${token}`,
+          expiresAt: user.passwordResetExpiresAt,
+        })
+      ).catch((error) => {
+        console.error("Send password reset email error:", error);
+      });
+    }
+
+    sendResponse(
+      res,
+      200,
+      true,
+      "If an account exists for this email, a password reset link has been sent"
+    );
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    sendError(res, 500, "Failed to request password reset");
+  }
+};
+
+/**
+ * Set a new password with a reset token
+ * POST /auth/reset-password
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Consume the token so it works only once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpiresAt: { $gt: new Date() },
+        isActive: true,
+        isDeleted: false,
+      },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } }
+    );
+
+    if (!user) {
+      return sendError(res, 400, "Reset token is invalid or has expired");
     }
 
-    // Validate role
-    if (!Object.values(ROLES).includes(role)) {
-      return sendError(res, 400, "Invalid role");
+    // The emailed link also proves the user owns the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
     }
 
-    // Check if user already exists in this account
-    const existingUser = await User.findOne({
-      email: email.toLowerCase(),
-      account: adminUser.account._id,
-      isDeleted: false,
+    // Update password and sign out every device
+    user.password = password; // Will be hashed by pre-save middleware
+    await user.invalidateTokens(SESSION_REVOKE_REASONS.PASSWORD_RESET);
+
+    sendResponse(res, 200, true, "Password reset successfully");
+  } catch (error) {
+    console.error("Reset password error:", error);
+    sendError(res, 500, "Failed to reset password");
+  }
+};
+
+/**
+ * Verify an email address with an emailed token, a pending email
+ * change is applied at the same time
+ * POST /auth/verify-email
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    // Consume the token so it works only once
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationTokenHash: hashToken(token),
+        emailVerificationExpiresAt: { $gt: new Date() },
+        isDeleted: false,
+      },
+      {
+        $unset: {
+          emailVerificationTokenHash: 1,
+          emailVerificationExpiresAt: 1,
+        },
+      }
+    );
+
+    if (!user) {
+      return sendError(
+        res,
+        400,
+        "Verification token is invalid or has expired"
+      );
+    }
+
+    if (user.pendingEmail) {
+      const existingUser = await User.findOne({
+        _id: { $ne: user._id },
+        email: user.pendingEmail,
+        isDeleted: false,
+      });
+
+      if (existingUser) {
+        return sendError(res, 409, "User with this email already exists");
+      }
+
+      user.email = user.pendingEmail;
+      user.pendingEmail = null;
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    sendResponse(res, 200, true, "Email verified successfully", {
+      email: user.email,
     });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    if (error.code === 11000) {
+      return sendError(res, 409, "User with this email already exists");
+    }
+    sendError(res, 500, "Failed to verify email");
+  }
+};
 
-    if (existingUser) {
-      return sendError(res, 409, "User already exists in this account");
+/**
+ * Send a new verification link
+ * POST /auth/verify-email/resend
+ * Logged-in users get a link for their own address, others give their
+ * email and always get the same answer so accounts cannot be probed
+ */
+const resendVerification = async (req, res) => {
+  try {
+    if (req.user) {
+      const user = req.user;
+
+      if (user.emailVerified && !user.pendingEmail) {
+        return sendError(res, 400, "Email address is already verified");
+      }
+
+      const emailSent = await sendVerificationEmail(user);
+      if (!emailSent) {
+        return sendError(res, 502, "Failed to send verification email");
+      }
+
+      return sendResponse(res, 200, true, "Verification email sent");
     }
 
-    // Find or create role
-    let userRole = await Role.findOne({
-      account: adminUser.account._id,
-      roleName: role,
+    const { email } = req.body;
+
+    if (!email) {
+      return sendError(res, 400, "Email is required");
+    }
+
+    const user = await User.findOne({
+      email,
+      emailVerified: { $ne: true },
+      isActive: true,
+      isDeleted: false,
     });
 
-    if (!userRole) {
-      userRole = new Role({
-        account: adminUser.account._id,
-        roleName: role,
+    if (user) {
+      // Not awaited, so the response time does not reveal the account
+      sendVerificationEmail(user).catch((error) => {
+        console.error("Resend verification error:", error);
       });
-      await userRole.save();
     }
 
-    // Generate temporary password
-    // const tempPassword = generateRandomString(12);
-    // const tempPassword = formatPasswordFromName(name);
-    const tempPassword = "password";
+    sendResponse(
+      res,
+      200,
+      true,
+      "If an unverified account exists for this email, a verification link has been sent"
+    );
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    sendError(res, 500, "Failed to resend verification email");
+  }
+};
 
-    // Create user
-    const newUser = new User({
-      account: adminUser.account._id,
-      email: email.toLowerCase(),
-      password: tempPassword, // Will be hashed by pre-save middleware
-      name,
-      role: userRole._id,
-    });
+/**
+ * Change email address, the new address must be verified before it
+ * replaces the current one
+ * PUT /auth/email
+ */
+const changeEmail = async (req, res) => {
+  try {
+    const { email, currentPassword } = req.body;
+    const user = req.user;
+
+    const isValidPassword = await comparePassword(
+      currentPassword,
+      user.password
+    );
+    if (!isValidPassword) {
+      return sendError(res, 400, "Current password is incorrect");
+    }
 
-    await newUser.save();
+    if (email === user.email) {
+      return sendError(res, 400, "New email is the same as the current one");
+    }
 
-    // I need to implement mailing service to notify user on their email
+    const existingUser = await User.findOne({ email, isDeleted: false });
 
-    const userResponse = newUser.toJSON();
+    if (existingUser) {
+      return sendError(res, 409, "User with this email already exists");
+    }
 
-    sendResponse(res, 201, true, "User invited successfully", {
-      email: userResponse.email,
-      tempPassword, // I will remove this later and send it via email
-      message: "User should change password on first login",
+    user.pendingEmail = email;
+    const emailSent = await sendVerificationEmail(user);
+
+    sendResponse(res, 200, true, "Verification email sent to the new address", {
+      pendingEmail: user.pendingEmail,
+      emailSent,
     });
   } catch (error) {
-    console.error("Invite user error:", error);
-    sendError(res, 500, "Failed to invite user");
+    console.error("Change email error:", error);
+    sendError(res, 500, "Failed to change email");
   }
 };
 
@@ -273,10 +603,9 @@ const changePassword = async (req, res) => {
       );
     }
 
-    // Update password
+    // Update password and sign out every device
     user.password = newPassword; // Will be hashed by pre-save middleware
-    user.tokensInvalidBefore = new Date(); // Invalidate all existing tokens
-    await user.save();
+    await user.invalidateTokens(SESSION_REVOKE_REASONS.PASSWORD_CHANGED);
 
     sendResponse(res, 200, true, "Password changed successfully");
   } catch (error) {
@@ -286,16 +615,161 @@ const changePassword = async (req, res) => {
 };
 
 /**
- * Logout user (invalidate tokens)
+ * Exchange a refresh token for new tokens
+ * POST /auth/refresh
+ * Each refresh token works once, presenting a rotated token again signs
+ * out the whole session family
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return sendError(res, 400, "Refresh token is required");
+    }
+
+    const session = await Session.findOne({
+      refreshTokenHash: hashToken(refreshToken),
+    });
+
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return sendError(res, 401, "Invalid or expired refresh token");
+    }
+
+    // Claim the token so concurrent requests cannot rotate it twice
+    const claimed =
+      !session.rotatedAt &&
+      (await Session.findOneAndUpdate(
+        { _id: session._id, rotatedAt: null, revokedAt: null },
+        { rotatedAt: new Date() }
+      ));
+
+    if (!claimed) {
+      await Session.revokeFamily(
+        session.family,
+        SESSION_REVOKE_REASONS.REUSE_DETECTED
+      );
+      console.warn(
+        `Refresh token reuse detected for session ${session.family}, session revoked`
+      );
+      return sendError(
+        res,
+        401,
+        "Refresh token was already used, please log in again"
+      );
+    }
+
+    const user = await User.findById(session.user)
+      .populate("account")
+      .populate("role");
+
+    if (
+      !user ||
+      !user.isActive ||
+      user.isDeleted ||
+      !user.account ||
+      !user.account.isActive ||
+      user.account.isDeleted
+    ) {
+      await Session.revokeFamily(
+        session.family,
+        SESSION_REVOKE_REASONS.USER_INACTIVE
+      );
+      return sendError(res, 401, "User or account inactive");
+    }
+
+    // Same rule as login, the session resumes once the email is verified
+    if (
+      user.account.settings.emailVerificationPolicy ===
+        EMAIL_VERIFICATION_POLICIES.LOGIN &&
+      !user.emailVerified
+    ) {
+      await Session.updateOne({ _id: session._id }, { rotatedAt: null });
+      return sendError(
+        res,
+        403,
+        "Please verify your email address before logging in"
+      );
+    }
+
+    // Rotate into a new token of the same family
+    const { session: nextSession, refreshToken: nextRefreshToken } =
+      await createSession(
+        user,
+        { ...getClientInfo(req), device: session.device },
+        session.family
+      );
+
+    sendResponse(
+      res,
+      200,
+      true,
+      "Token refreshed successfully",
+      buildTokenResponse(user, nextSession, nextRefreshToken)
+    );
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    sendError(res, 500, "Failed to refresh token");
+  }
+};
+
+/**
+ * List the signed-in devices of the current user
+ * GET /auth/sessions
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    sendResponse(res, 200, true, "Sessions retrieved successfully", {
+      sessions: sessions.map((session) =>
+        formatSession(session, req.sessionId)
+      ),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    sendError(res, 500, "Failed to retrieve sessions");
+  }
+};
+
+/**
+ * Sign out one device of the current user
+ * DELETE /auth/sessions/:id
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      family: req.params.id,
+      user: req.user._id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return sendError(res, 404, "Session not found");
+    }
+
+    await Session.revokeFamily(session.family, SESSION_REVOKE_REASONS.REVOKED);
+
+    sendResponse(res, 200, true, "Session revoked successfully", {
+      id: session.family,
+      current: session.family.equals(req.sessionId),
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid session ID");
+    }
+    sendError(res, 500, "Failed to revoke session");
+  }
+};
+
+/**
+ * Logout user (sign out the current device)
  * POST /auth/logout
  */
 const logout = async (req, res) => {
   try {
-    const user = req.user;
-
-    // Invalidate all tokens for this user
-    user.tokensInvalidBefore = new Date();
-    await user.save();
+    await Session.revokeFamily(req.sessionId, SESSION_REVOKE_REASONS.LOGOUT);
 
     sendResponse(res, 200, true, "Logged out successfully");
   } catch (error) {
@@ -353,6 +827,7 @@ const getAccountUsers = async (req, res) => {
       id: user._id,
       name: user.name,
       email: user.email,
+      emailVerified: user.emailVerified,
       role: user.role?.roleName || 'unknown',
       isActive: user.isActive,
       lastLogin: user.lastLogin,
@@ -383,9 +858,17 @@ const getAccountUsers = async (req, res) => {
 module.exports = {
   register,
   login,
+  loginTwoFactor,
   getProfile,
   getAccountUsers,
-  inviteUser,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  changeEmail,
   changePassword,
+  refresh,
+  getSessions,
+  revokeSession,
   logout,
 };
@@ -0,0 +1,111 @@
+const Note = require("../models/Note");
+const User = require("../models/User");
+const {
+  sendResponse,
+  sendError,
+  generateSecureToken,
+  hashToken,
+} = require("../utils/helpers");
+const { buildCalendar } = require("../utils/ical");
+
+const MAX_CALENDAR_EVENTS = 1000;
+
+/**
+ * Create or rotate the token of the current user's calendar feed
+ * POST /calendar/token
+ * The token is only returned once, a new one invalidates the previous feed URL
+ */
+const createCalendarToken = async (req, res) => {
+  try {
+    const user = req.user;
+    const token = generateSecureToken();
+
+    await User.updateOne(
+      { _id: user._id },
+      { calendarTokenHash: hashToken(token) }
+    );
+
+    sendResponse(res, 201, true, "Calendar feed created successfully", {
+      token,
+      url: `/calendar/${token}.ics`,
+    });
+  } catch (error) {
+    console.error("Create calendar token error:", error);
+    sendError(res, 500, "Failed to create calendar feed");
+  }
+};
+
+/**
+ * Disable the current user's calendar feed
+ * DELETE /calendar/token
+ */
+const revokeCalendarToken = async (req, res) => {
+  try {
+    const user = req.user;
+
+    await User.updateOne(
+      { _id: user._id },
+      { $unset: { calendarTokenHash: 1 } }
+    );
+
+    sendResponse(res, 200, true, "Calendar feed disabled successfully");
+  } catch (error) {
+    console.error("Revoke calendar token error:", error);
+    sendError(res, 500, "Failed to disable calendar feed");
+  }
+};
+
+/**
+ * Get the iCalendar feed of a user's notes with a due date
+ * GET /calendar/:token.ics (no authentication, the token is the secret)
+ */
+const getCalendarFeed = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const user = await User.findOne({
+      calendarTokenHash: hashToken(token),
+      isActive: true,
+      isDeleted: false,
+    }).populate("account");
+
+    // Unknown tokens and suspended accounts look the same
+    if (
+      !user ||
+      !user.account ||
+      !user.account.isActive ||
+      user.account.isDeleted
+    ) {
+      return sendError(res, 404, "Calendar not found");
+    }
+
+    const notes = await Note.find({
+      account: user.account._id,
+      user: user._id,
+      isDeleted: false,
+      isArchived: { $ne: true },
+      dueAt: { $ne: null },
+    })
+      .select("title description dueAt remindAt updatedAt")
+      .sort({ dueAt: 1 })
+      .limit(MAX_CALENDAR_EVENTS);
+
+    const calendar = buildCalendar(notes, {
+      name: `${user.name} - Notes`,
+      host: req.hostname,
+    });
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    res.send(calendar);
+  } catch (error) {
+    console.error("Get calendar feed error:", error);
+    sendError(res, 500, "Failed to build calendar");
+  }
+};
+
+module.exports = {
+  createCalendarToken,
+  revokeCalendarToken,
+  getCalendarFeed,
+};
@@ -0,0 +1,420 @@
+const Comment = require("../models/Comment");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { sendResponse, sendError } = require("../utils/helpers");
+const {
+  ROLES,
+  SHARE_PERMISSIONS,
+  NOTIFICATION_TYPES,
+} = require("../utils/constants");
+const { parseMentions, resolveMentions } = require("../utils/mentions");
+const { findAccessibleNote } = require("../utils/noteAccess");
+
+/**
+ * Format a comment for API responses
+ */
+const formatComment = (comment) => ({
+  id: comment._id,
+  body: comment.isDeleted ? null : comment.body,
+  author: comment.author
+    ? {
+        id: comment.author._id,
+        name: comment.author.name,
+        email: comment.author.email,
+      }
+    : null,
+  parent: comment.parent,
+  mentions: comment.mentions,
+  isResolved: comment.isResolved,
+  resolvedBy: comment.resolvedBy,
+  resolvedAt: comment.resolvedAt,
+  isDeleted: comment.isDeleted,
+  editedAt: comment.editedAt,
+  createdAt: comment.createdAt,
+  updatedAt: comment.updatedAt,
+});
+
+/**
+ * Check whether user can edit or delete a comment (author or admin)
+ */
+const canModifyComment = (user, comment) => {
+  return (
+    user.role.roleName === ROLES.ADMIN ||
+    comment.author.toString() === user._id.toString()
+  );
+};
+
+/**
+ * Resolve @mentions in a comment body to tenant users who can see the note
+ */
+const findMentionedUsers = async (note, body) => {
+  const handles = parseMentions(body);
+  if (handles.length === 0) return [];
+
+  const candidates = await User.find({
+    account: note.account,
+    isActive: true,
+    isDeleted: false,
+  })
+    .select("name email role")
+    .populate("role");
+
+  // Only users allowed to read the note can be mentioned
+  return resolveMentions(handles, candidates).filter((user) =>
+    note.hasPermission(user, SHARE_PERMISSIONS.VIEWER)
+  );
+};
+
+/**
+ * Notify mentioned users not notified before, once the comment is saved
+ */
+const notifyMentionedUsers = async (
+  note,
+  comment,
+  actor,
+  mentioned,
+  alreadyMentioned = []
+) => {
+  const notified = new Set(alreadyMentioned.map((id) => id.toString()));
+  const recipients = mentioned.filter(
+    (user) =>
+      !notified.has(user._id.toString()) &&
+      user._id.toString() !== actor._id.toString()
+  );
+
+  if (recipients.length === 0) return;
+
+  await Notification.insertMany(
+    recipients.map((user) => ({
+      account: note.account,
+      user: user._id,
+      type: NOTIFICATION_TYPES.MENTION,
+      actor: actor._id,
+      note: note._id,
+      comment: comment._id,
+      message: `${actor.name} mentioned you on "${note.title}"`,
+    }))
+  );
+};
+
+/**
+ * Get comments of a note, replies nested under their parent
+ * GET /notes/:id/comments
+ */
+const getComments = async (req, res) => {
+  try {
+    const { resolved } = req.query;
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    const comments = await Comment.find({ note: note._id })
+      .populate("author", "name email")
+      .sort({ createdAt: 1 });
+
+    const replies = new Map();
+    for (const comment of comments) {
+      if (comment.parent && !comment.isDeleted) {
+        const key = comment.parent.toString();
+        if (!replies.has(key)) replies.set(key, []);
+        replies.get(key).push(formatComment(comment));
+      }
+    }
+
+    let threads = comments
+      .filter((comment) => !comment.parent)
+      .map((comment) => ({
+        ...formatComment(comment),
+        replies: replies.get(comment._id.toString()) || [],
+      }))
+      // Deleted comments stay only as placeholders for their replies
+      .filter((thread) => !thread.isDeleted || thread.replies.length > 0);
+
+    if (resolved === "true" || resolved === "false") {
+      threads = threads.filter(
+        (thread) => thread.isResolved === (resolved === "true")
+      );
+    }
+
+    sendResponse(res, 200, true, "Comments retrieved successfully", {
+      noteId: note._id,
+      comments: threads,
+    });
+  } catch (error) {
+    console.error("Get comments error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to retrieve comments");
+  }
+};
+
+/**
+ * Add a comment or a reply to a note
+ * POST /notes/:id/comments
+ */
+const createComment = async (req, res) => {
+  try {
+    const { body, parent = null } = req.body;
+    const user = req.user;
+
+    if (!body || typeof body !== "string" || !body.trim()) {
+      return sendError(res, 400, "Comment body is required");
+    }
+
+    if (body.length > 5000) {
+      return sendError(res, 400, "Comment must not exceed 5000 characters");
+    }
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    if (!note.hasPermission(user, SHARE_PERMISSIONS.COMMENTER)) {
+      return sendError(
+        res,
+        403,
+        "You do not have permission to comment on this note"
+      );
+    }
+
+    // Replies can only be made to top-level comments
+    if (parent) {
+      const parentComment = await Comment.findOne({
+        _id: parent,
+        note: note._id,
+        isDeleted: false,
+      });
+
+      if (!parentComment) {
+        return sendError(res, 404, "Parent comment not found");
+      }
+
+      if (parentComment.parent) {
+        return sendError(res, 400, "Replies cannot be nested further");
+      }
+    }
+
+    const comment = new Comment({
+      account: note.account,
+      note: note._id,
+      author: user._id,
+      body: body.trim(),
+      parent: parent || null,
+    });
+
+    const mentioned = await findMentionedUsers(note, comment.body);
+    comment.mentions = mentioned.map((mentionedUser) => mentionedUser._id);
+    await comment.save();
+
+    await notifyMentionedUsers(note, comment, user, mentioned);
+    await comment.populate("author", "name email");
+
+    sendResponse(res, 201, true, "Comment added successfully", {
+      comment: formatComment(comment),
+    });
+  } catch (error) {
+    console.error("Create comment error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid ID format");
+    }
+    sendError(res, 500, "Failed to add comment");
+  }
+};
+
+/**
+ * Edit a comment (author or admin)
+ * PUT /notes/:id/comments/:commentId
+ */
+const updateComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { body } = req.body;
+    const user = req.user;
+
+    if (!body || typeof body !== "string" || !body.trim()) {
+      return sendError(res, 400, "Comment body is required");
+    }
+
+    if (body.length > 5000) {
+      return sendError(res, 400, "Comment must not exceed 5000 characters");
+    }
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    const comment = await Comment.findOne({
+      _id: commentId,
+      note: note._id,
+      isDeleted: false,
+    });
+
+    if (!comment) {
+      return sendError(res, 404, "Comment not found");
+    }
+
+    if (!canModifyComment(user, comment)) {
+      return sendError(res, 403, "You can only edit your own comments");
+    }
+
+    comment.body = body.trim();
+    comment.editedAt = new Date();
+
+    const previousMentions = [...comment.mentions];
+    const mentioned = await findMentionedUsers(note, comment.body);
+    comment.mentions = mentioned.map((mentionedUser) => mentionedUser._id);
+
+    await comment.save();
+
+    // Users newly mentioned by the edit are notified as well
+    await notifyMentionedUsers(
+      note,
+      comment,
+      user,
+      mentioned,
+      previousMentions
+    );
+    await comment.populate("author", "name email");
+
+    sendResponse(res, 200, true, "Comment updated successfully", {
+      comment: formatComment(comment),
+    });
+  } catch (error) {
+    console.error("Update comment error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid ID format");
+    }
+    sendError(res, 500, "Failed to update comment");
+  }
+};
+
+/**
+ * Delete a comment (author or admin)
+ * DELETE /notes/:id/comments/:commentId
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const user = req.user;
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    const comment = await Comment.findOne({
+      _id: commentId,
+      note: note._id,
+      isDeleted: false,
+    });
+
+    if (!comment) {
+      return sendError(res, 404, "Comment not found");
+    }
+
+    if (!canModifyComment(user, comment)) {
+      return sendError(res, 403, "You can only delete your own comments");
+    }
+
+    comment.isDeleted = true;
+    await comment.save();
+
+    sendResponse(res, 200, true, "Comment deleted successfully");
+  } catch (error) {
+    console.error("Delete comment error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid ID format");
+    }
+    sendError(res, 500, "Failed to delete comment");
+  }
+};
+
+/**
+ * Set the resolved state of a comment thread
+ */
+const setResolved = (resolved) => async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const user = req.user;
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    if (!note.hasPermission(user, SHARE_PERMISSIONS.COMMENTER)) {
+      return sendError(
+        res,
+        403,
+        "You do not have permission to comment on this note"
+      );
+    }
+
+    const comment = await Comment.findOne({
+      _id: commentId,
+      note: note._id,
+      isDeleted: false,
+    });
+
+    if (!comment) {
+      return sendError(res, 404, "Comment not found");
+    }
+
+    if (comment.parent) {
+      return sendError(res, 400, "Only top-level comments can be resolved");
+    }
+
+    comment.isResolved = resolved;
+    comment.resolvedBy = resolved ? user._id : null;
+    comment.resolvedAt = resolved ? new Date() : null;
+    await comment.save();
+    await comment.populate("author", "name email");
+
+    sendResponse(
+      res,
+      200,
+      true,
+      resolved
+        ? "Comment resolved successfully"
+        : "Comment reopened successfully",
+      { comment: formatComment(comment) }
+    );
+  } catch (error) {
+    console.error("Resolve comment error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid ID format");
+    }
+    sendError(res, 500, "Failed to update comment");
+  }
+};
+
+/**
+ * Resolve a comment thread
+ * POST /notes/:id/comments/:commentId/resolve
+ */
+const resolveComment = setResolved(true);
+
+/**
+ * Reopen a resolved comment thread
+ * POST /notes/:id/comments/:commentId/unresolve
+ */
+const unresolveComment = setResolved(false);
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  resolveComment,
+  unresolveComment,
+};
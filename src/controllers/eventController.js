@@ -0,0 +1,151 @@
+const mongoose = require("mongoose");
+const NoteEvent = require("../models/NoteEvent");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { sendError } = require("../utils/helpers");
+const { noteEventBus, canSeeEvent } = require("../utils/noteEvents");
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const MAX_REPLAY_EVENTS = 1000;
+
+/**
+ * Write a note event in SSE format
+ */
+const writeEvent = (res, event) => {
+  const payload = {
+    id: event._id,
+    type: event.type,
+    noteId: event.note,
+    ...event.data,
+    createdAt: event.createdAt,
+  };
+
+  res.write(`id: ${event._id}\n`);
+  res.write(`event: note.${event.type}\n`);
+  res.write(`data: ${JSON.stringify(payload)}\n\n`);
+};
+
+/**
+ * Check the session, user and account behind a stream are still valid
+ */
+const isStreamAuthorized = async (req) => {
+  const [session, user] = await Promise.all([
+    Session.findActive(req.sessionId),
+    User.findById(req.user._id).populate("account"),
+  ]);
+
+  return Boolean(
+    session &&
+    user &&
+    user.isActive &&
+    !user.isDeleted &&
+    user.account &&
+    user.account.isActive &&
+    !user.account.isDeleted
+  );
+};
+
+/**
+ * Stream note changes of the tenant as Server-Sent Events
+ * GET /events
+ * Sends events missed since the Last-Event-ID header (or ?lastEventId=)
+ * before switching to live events
+ */
+const streamEvents = async (req, res) => {
+  try {
+    const user = req.user;
+    const tenantFilter = req.tenantFilter || {};
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+
+    if (lastEventId && !mongoose.isValidObjectId(lastEventId)) {
+      return sendError(res, 400, "Invalid Last-Event-ID");
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    // Buffer live events until the replay has been written
+    let replaying = true;
+    const pending = [];
+
+    const onEvent = (event) => {
+      if (!canSeeEvent(user, event)) return;
+
+      if (replaying) {
+        pending.push(event);
+      } else {
+        writeEvent(res, event);
+      }
+    };
+
+    noteEventBus.on("event", onEvent);
+
+    const stop = () => {
+      clearInterval(heartbeat);
+      noteEventBus.off("event", onEvent);
+    };
+
+    // Each heartbeat checks the stream is still authorized, once the token
+    // expires or the session is revoked the client must reconnect
+    const heartbeat = setInterval(async () => {
+      try {
+        const authorized =
+          Date.now() < req.tokenExpiresAt && (await isStreamAuthorized(req));
+
+        if (res.writableEnded) return;
+
+        if (!authorized) {
+          stop();
+          return res.end();
+        }
+
+        res.write(": ping\n\n");
+      } catch (error) {
+        console.error("Stream events heartbeat error:", error);
+      }
+    }, HEARTBEAT_INTERVAL);
+
+    req.on("close", stop);
+
+    res.write("retry: 5000\n\n");
+
+    let lastSentId = lastEventId || null;
+
+    if (lastEventId) {
+      const missed = await NoteEvent.find({
+        ...tenantFilter,
+        _id: { $gt: lastEventId },
+      })
+        .sort({ _id: 1 })
+        .limit(MAX_REPLAY_EVENTS);
+
+      for (const event of missed) {
+        writeEvent(res, event);
+        lastSentId = event._id.toString();
+      }
+    }
+
+    replaying = false;
+
+    for (const event of pending) {
+      if (!lastSentId || event._id.toString() > lastSentId) {
+        writeEvent(res, event);
+      }
+    }
+  } catch (error) {
+    console.error("Stream events error:", error);
+    if (!res.headersSent) {
+      return sendError(res, 500, "Failed to open event stream");
+    }
+    res.end();
+  }
+};
+
+module.exports = {
+  streamEvents,
+};
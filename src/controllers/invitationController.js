@@ -0,0 +1,347 @@
+const User = require("../models/User");
+const Role = require("../models/Role");
+const Account = require("../models/Account");
+const Invitation = require("../models/Invitation");
+const {
+  generateSecureToken,
+  hashToken,
+  buildAppUrl,
+  sendResponse,
+  sendError,
+} = require("../utils/helpers");
+const { ROLES, INVITATION_STATUS } = require("../utils/constants");
+const { sendMail } = require("../mail");
+const { invitationEmail } = require("../mail/templates");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format an invitation for API responses
+ */
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  name: invitation.name,
+  role: invitation.role,
+  status: invitation.status,
+  invitedBy: invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  sentCount: invitation.sentCount,
+  lastSentAt: invitation.lastSentAt,
+  acceptedAt: invitation.acceptedAt,
+  acceptedUser: invitation.acceptedUser,
+  revokedAt: invitation.revokedAt,
+  createdAt: invitation.createdAt,
+});
+
+/**
+ * Give an invitation a fresh token and expiry, then email the link
+ * Returns whether the email could be sent, the invitation is saved either way
+ */
+const sendInvitation = async (req, invitation) => {
+  const token = generateSecureToken();
+  const days = parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+  const url = buildAppUrl(`/invitations/${token}`);
+
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + days * DAY_IN_MS);
+  invitation.sentCount += 1;
+  invitation.lastSentAt = new Date();
+  await invitation.save();
+
+  try {
+    await sendMail(
+      invitation.email,
+      invitationEmail({
+        inviterName: req.user.name,
+        accountName: req.account.slug,
+        url,
+        expiresAt: invitation.expiresAt,
+      })
+    );
+    return true;
+  } catch (error) {
+    console.error("Send invitation email error:", error);
+    return false;
+  }
+};
+
+/**
+ * Find an invitation of the current account that is not yet used
+ */
+const findOpenInvitation = (req) =>
+  Invitation.findOne({
+    _id: req.params.id,
+    account: req.account._id,
+    acceptedAt: null,
+    revokedAt: null,
+  });
+
+/**
+ * Invite user to account (Admin only)
+ * POST /auth/invite
+ */
+const inviteUser = async (req, res) => {
+  try {
+    const { email, name = null, role = ROLES.MEMBER } = req.body;
+    const account = req.account;
+
+    // Only members of this account are reported; an address registered in
+    // another account is not revealed, accepting the invitation fails instead
+    const existingUser = await User.findOne({
+      email,
+      account: account._id,
+      isDeleted: false,
+    });
+
+    if (existingUser) {
+      return sendError(res, 409, "User with this email already exists");
+    }
+
+    const pendingInvitation = await Invitation.findOne({
+      account: account._id,
+      email,
+      ...Invitation.statusFilter(INVITATION_STATUS.PENDING),
+    });
+
+    if (pendingInvitation) {
+      return sendError(
+        res,
+        409,
+        "A pending invitation already exists for this email, resend it instead"
+      );
+    }
+
+    const invitation = new Invitation({
+      account: account._id,
+      email,
+      name,
+      role,
+      invitedBy: req.user._id,
+    });
+
+    const emailSent = await sendInvitation(req, invitation);
+
+    sendResponse(res, 201, true, "User invited successfully", {
+      invitation: formatInvitation(invitation),
+      emailSent,
+    });
+  } catch (error) {
+    console.error("Invite user error:", error);
+    sendError(res, 500, "Failed to invite user");
+  }
+};
+
+/**
+ * List the invitations of the account (Admin only)
+ * GET /auth/invitations
+ * Query: status (pending by default), page, limit
+ */
+const getInvitations = async (req, res) => {
+  try {
+    const {
+      status = INVITATION_STATUS.PENDING,
+      page = 1,
+      limit = 20,
+    } = req.query;
+    const account = req.account;
+
+    if (!Object.values(INVITATION_STATUS).includes(status)) {
+      return sendError(
+        res,
+        400,
+        `Status must be one of: ${Object.values(INVITATION_STATUS).join(", ")}`
+      );
+    }
+
+    const query = {
+      account: account._id,
+      ...Invitation.statusFilter(status),
+    };
+
+    const pageSize = Math.min(parseInt(limit), 100);
+    const skip = (parseInt(page) - 1) * pageSize;
+
+    const [invitations, total] = await Promise.all([
+      Invitation.find(query).sort({ createdAt: -1 }).skip(skip).limit(pageSize),
+      Invitation.countDocuments(query),
+    ]);
+
+    sendResponse(res, 200, true, "Invitations retrieved successfully", {
+      invitations: invitations.map(formatInvitation),
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    sendError(res, 500, "Failed to retrieve invitations");
+  }
+};
+
+/**
+ * Send a pending or expired invitation again with a new link (Admin only)
+ * POST /auth/invitations/:id/resend
+ */
+const resendInvitation = async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(req);
+
+    if (!invitation) {
+      return sendError(res, 404, "Invitation not found");
+    }
+
+    const emailSent = await sendInvitation(req, invitation);
+
+    sendResponse(res, 200, true, "Invitation resent successfully", {
+      invitation: formatInvitation(invitation),
+      emailSent,
+    });
+  } catch (error) {
+    console.error("Resend invitation error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid invitation ID");
+    }
+    sendError(res, 500, "Failed to resend invitation");
+  }
+};
+
+/**
+ * Revoke an invitation so its link can no longer be used (Admin only)
+ * DELETE /auth/invitations/:id
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(req);
+
+    if (!invitation) {
+      return sendError(res, 404, "Invitation not found");
+    }
+
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user._id;
+    await invitation.save();
+
+    sendResponse(res, 200, true, "Invitation revoked successfully", {
+      invitation: formatInvitation(invitation),
+    });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid invitation ID");
+    }
+    sendError(res, 500, "Failed to revoke invitation");
+  }
+};
+
+/**
+ * Accept an invitation, the invitee chooses their name and password
+ * POST /auth/invitations/:token/accept
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const invitation = await Invitation.findOne({
+      tokenHash: hashToken(req.params.token),
+    });
+
+    if (!invitation || invitation.status !== INVITATION_STATUS.PENDING) {
+      return sendError(res, 400, "Invitation is invalid or has expired");
+    }
+
+    const name = req.body.name || invitation.name;
+    if (!name) {
+      return sendError(res, 400, "Name is required");
+    }
+
+    const account = await Account.findById(invitation.account);
+    if (!account || !account.isActive || account.isDeleted) {
+      return sendError(res, 403, "Account is inactive");
+    }
+
+    const existingUser = await User.findOne({
+      email: invitation.email,
+      isDeleted: false,
+    });
+
+    if (existingUser) {
+      return sendError(res, 409, "User with this email already exists");
+    }
+
+    // Claim the invitation so its token works only once
+    const claimed = await Invitation.findOneAndUpdate(
+      {
+        _id: invitation._id,
+        ...Invitation.statusFilter(INVITATION_STATUS.PENDING),
+      },
+      { acceptedAt: new Date() },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return sendError(res, 400, "Invitation is invalid or has expired");
+    }
+
+    try {
+      // Find or create role
+      let userRole = await Role.findOne({
+        account: account._id,
+        roleName: claimed.role,
+      });
+
+      if (!userRole) {
+        userRole = new Role({
+          account: account._id,
+          roleName: claimed.role,
+        });
+        await userRole.save();
+      }
+
+      const user = new User({
+        account: account._id,
+        email: claimed.email,
+        password, // Will be hashed by pre-save middleware
+        name,
+        role: userRole._id,
+        // The emailed invitation link proves the address
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+      });
+
+      await user.save();
+
+      claimed.acceptedUser = user._id;
+      await claimed.save();
+    } catch (error) {
+      // Release the invitation so it can be accepted again
+      await Invitation.updateOne(
+        { _id: claimed._id },
+        { acceptedAt: null, acceptedUser: null }
+      );
+      throw error;
+    }
+
+    sendResponse(res, 201, true, "Invitation accepted successfully", {
+      email: claimed.email,
+      message: "You can now log in with your email and password",
+    });
+  } catch (error) {
+    console.error("Accept invitation error:", error);
+    if (error.code === 11000) {
+      return sendError(res, 409, "User with this email already exists");
+    }
+    sendError(res, 500, "Failed to accept invitation");
+  }
+};
+
+module.exports = {
+  inviteUser,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
+  acceptInvitation,
+};
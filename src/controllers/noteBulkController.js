@@ -0,0 +1,345 @@
+const mongoose = require("mongoose");
+const Note = require("../models/Note");
+const Tag = require("../models/Tag");
+const User = require("../models/User");
+const NoteVersion = require("../models/NoteVersion");
+const PublicLink = require("../models/PublicLink");
+const { sendResponse, sendError } = require("../utils/helpers");
+const {
+  ROLES,
+  SUBSCRIPTION_LIMITS,
+  SHARE_PERMISSIONS,
+  BULK_NOTE_ACTIONS,
+  NOTE_EVENT_TYPES,
+} = require("../utils/constants");
+const { publishNoteEvent } = require("../utils/noteEvents");
+
+const TAG_ACTIONS = [
+  BULK_NOTE_ACTIONS.ADD_TAGS,
+  BULK_NOTE_ACTIONS.REMOVE_TAGS,
+  BULK_NOTE_ACTIONS.REPLACE_TAGS,
+];
+const MAX_TAGS_PER_NOTE = 20;
+
+/**
+ * Build the result entry of a single operation
+ */
+const buildResult = (index, operation, status, message) => ({
+  index,
+  noteId: operation && operation.noteId ? operation.noteId : null,
+  action: operation && operation.action ? operation.action : null,
+  success: status < 400,
+  status,
+  message,
+});
+
+/**
+ * Check an operation is well formed, returns an error message or null
+ */
+const validateOperation = (operation) => {
+  if (!operation || typeof operation !== "object") {
+    return "Operation must be an object";
+  }
+
+  const { noteId, action, tags, userId } = operation;
+
+  if (!Object.values(BULK_NOTE_ACTIONS).includes(action)) {
+    return "Invalid action";
+  }
+
+  if (!mongoose.isValidObjectId(noteId)) {
+    return "Invalid note ID";
+  }
+
+  if (TAG_ACTIONS.includes(action)) {
+    const validTags =
+      Array.isArray(tags) &&
+      tags.every(
+        (tagName) =>
+          typeof tagName === "string" &&
+          tagName.trim() &&
+          tagName.trim().length <= 50
+      );
+
+    if (!validTags) {
+      return "Tags must be an array of tag names up to 50 characters";
+    }
+
+    if (tags.length === 0 && action !== BULK_NOTE_ACTIONS.REPLACE_TAGS) {
+      return "At least one tag is required";
+    }
+
+    if (tags.length > MAX_TAGS_PER_NOTE) {
+      return `Maximum ${MAX_TAGS_PER_NOTE} tags allowed`;
+    }
+  }
+
+  if (
+    action === BULK_NOTE_ACTIONS.CHANGE_OWNER &&
+    !mongoose.isValidObjectId(userId)
+  ) {
+    return "Invalid user ID";
+  }
+
+  return null;
+};
+
+/**
+ * Check whether user owns the note or is an admin
+ */
+const isOwnerOrAdmin = (user, note) =>
+  user.role.roleName === ROLES.ADMIN ||
+  note.user.toString() === user._id.toString();
+
+/**
+ * Move a note to the trash
+ */
+const applyDelete = async (note, operation, context) => {
+  const { user } = context;
+
+  if (!isOwnerOrAdmin(user, note)) {
+    return [403, "You can only delete your own notes"];
+  }
+
+  note.isDeleted = true;
+  note.deletedAt = new Date();
+  note.deletedBy = user._id;
+  await note.save();
+
+  context.deletedNoteIds.push(note._id);
+  if (context.account.countsTowardNoteLimit(note)) {
+    context.releasedNoteCount += 1;
+  }
+  await publishNoteEvent(NOTE_EVENT_TYPES.DELETED, note, user);
+
+  return [200, "Note deleted successfully"];
+};
+
+/**
+ * Add, remove or replace tags of a note
+ */
+const applyTags = async (note, operation, context) => {
+  const { user, account, tagCache } = context;
+  const { action, tags } = operation;
+
+  if (!note.hasPermission(user, SHARE_PERMISSIONS.EDITOR)) {
+    return [403, "You do not have permission to update this note"];
+  }
+
+  const previousTagIds = note.tags.map((tag) => tag.toString());
+  const tagNames = [
+    ...new Set(tags.map((tagName) => tagName.toLowerCase().trim())),
+  ];
+
+  let tagIds;
+  if (action === BULK_NOTE_ACTIONS.REMOVE_TAGS) {
+    // Removing never creates tags
+    const removedTagIds = await Tag.find({
+      account: account._id,
+      tagName: { $in: tagNames },
+    }).distinct("_id");
+    const removed = new Set(removedTagIds.map((id) => id.toString()));
+
+    tagIds = previousTagIds.filter((id) => !removed.has(id));
+  } else {
+    const resolvedTagIds = [];
+    for (const tagName of tagNames) {
+      if (!tagCache.has(tagName)) {
+        const tag = await Tag.findOrCreate(account._id, tagName);
+        tagCache.set(tagName, tag._id.toString());
+      }
+      resolvedTagIds.push(tagCache.get(tagName));
+    }
+
+    tagIds =
+      action === BULK_NOTE_ACTIONS.ADD_TAGS
+        ? [...previousTagIds, ...resolvedTagIds]
+        : resolvedTagIds;
+  }
+
+  tagIds = [...new Set(tagIds)];
+
+  if (tagIds.length > MAX_TAGS_PER_NOTE) {
+    return [400, `Maximum ${MAX_TAGS_PER_NOTE} tags allowed`];
+  }
+
+  // Make sure the state being overwritten is kept as a revision
+  await NoteVersion.ensureBaseline(note, account.plan);
+
+  note.tags = tagIds;
+  const changedFields = note.getChangedVersionedFields(previousTagIds);
+
+  if (changedFields.length === 0) {
+    return [200, "Note already up to date"];
+  }
+
+  await note.save();
+  await note.populate("tags");
+
+  await NoteVersion.record(note, {
+    author: user._id,
+    plan: account.plan,
+    changedFields,
+  });
+
+  await publishNoteEvent(NOTE_EVENT_TYPES.UPDATED, note, user);
+
+  return [200, "Note tags updated successfully"];
+};
+
+/**
+ * Transfer a note to another user of the same tenant
+ */
+const applyChangeOwner = async (note, operation, context) => {
+  const { user, account } = context;
+  const { userId } = operation;
+
+  if (!isOwnerOrAdmin(user, note)) {
+    return [403, "Only the note owner or an admin can change its owner"];
+  }
+
+  const newOwner = await User.findOne({
+    _id: userId,
+    account: account._id,
+    isActive: true,
+    isDeleted: false,
+  });
+
+  if (!newOwner) {
+    return [404, "User not found in this account"];
+  }
+
+  if (note.user.toString() === newOwner._id.toString()) {
+    return [200, "Note already owned by this user"];
+  }
+
+  note.user = newOwner._id;
+
+  // The new owner no longer needs a share entry
+  note.shares = note.shares.filter(
+    (share) => share.user.toString() !== newOwner._id.toString()
+  );
+
+  await note.save();
+  await publishNoteEvent(NOTE_EVENT_TYPES.UPDATED, note, user);
+
+  return [200, "Note owner changed successfully"];
+};
+
+const ACTION_HANDLERS = {
+  [BULK_NOTE_ACTIONS.DELETE]: applyDelete,
+  [BULK_NOTE_ACTIONS.ADD_TAGS]: applyTags,
+  [BULK_NOTE_ACTIONS.REMOVE_TAGS]: applyTags,
+  [BULK_NOTE_ACTIONS.REPLACE_TAGS]: applyTags,
+  [BULK_NOTE_ACTIONS.CHANGE_OWNER]: applyChangeOwner,
+};
+
+/**
+ * Apply a batch of operations to notes, one result per operation
+ * POST /notes/bulk
+ * Operations run in order and a failing operation does not stop the others
+ */
+const bulkNoteOperations = async (req, res) => {
+  try {
+    const { operations } = req.body;
+    const user = req.user;
+    const account = req.account;
+    const tenantFilter = req.tenantFilter || {};
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return sendError(res, 400, "Operations must be a non-empty array");
+    }
+
+    const { maxBulkOperations } = SUBSCRIPTION_LIMITS[account.plan];
+    if (operations.length > maxBulkOperations) {
+      return sendError(
+        res,
+        400,
+        `Your plan allows at most ${maxBulkOperations} operations per request`,
+        { currentPlan: account.plan, maxBulkOperations }
+      );
+    }
+
+    const context = {
+      user,
+      account,
+      tagCache: new Map(),
+      deletedNoteIds: [],
+      releasedNoteCount: 0,
+    };
+
+    const results = [];
+    for (const [index, operation] of operations.entries()) {
+      const invalid = validateOperation(operation);
+      if (invalid) {
+        results.push(buildResult(index, operation, 400, invalid));
+        continue;
+      }
+
+      try {
+        const note = await Note.findOne({
+          _id: operation.noteId,
+          ...tenantFilter,
+          isDeleted: false,
+        });
+
+        if (!note) {
+          results.push(buildResult(index, operation, 404, "Note not found"));
+          continue;
+        }
+
+        const [status, message] = await ACTION_HANDLERS[operation.action](
+          note,
+          operation,
+          context
+        );
+        results.push(buildResult(index, operation, status, message));
+      } catch (error) {
+        if (error.name === "VersionError") {
+          results.push(
+            buildResult(
+              index,
+              operation,
+              409,
+              "Note was modified by another request"
+            )
+          );
+          continue;
+        }
+        console.error("Bulk note operation error:", error);
+        results.push(
+          buildResult(index, operation, 500, "Failed to apply operation")
+        );
+      }
+    }
+
+    if (context.deletedNoteIds.length > 0) {
+      // Public links die with the notes
+      await PublicLink.revokeForNotes(context.deletedNoteIds);
+
+      // Wiki links to the notes stop resolving
+      await Note.setLinksBroken(context.deletedNoteIds, true);
+
+      // Trashed notes no longer count against the plan
+      await account.releaseNoteSlots(context.releasedNoteCount);
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    sendResponse(res, 200, true, "Bulk operations processed", {
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+      },
+    });
+  } catch (error) {
+    console.error("Bulk note operations error:", error);
+    sendError(res, 500, "Failed to process bulk operations");
+  }
+};
+
+module.exports = {
+  bulkNoteOperations,
+};
@@ -0,0 +1,417 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { sendResponse, sendError } = require("../utils/helpers");
+const { SHARE_PERMISSIONS, NOTE_EVENT_TYPES } = require("../utils/constants");
+const { publishNoteEvent } = require("../utils/noteEvents");
+const {
+  MAX_CHECKLIST_ITEMS,
+  formatChecklistItem,
+  validateChecklistText,
+} = require("../utils/checklist");
+const { findAccessibleNote } = require("../utils/noteAccess");
+
+/**
+ * Resolve an assignee value, null clears the assignee
+ * Returns [error, assigneeId]
+ */
+const resolveAssignee = async (assignee, accountId) => {
+  if (assignee === null || assignee === "") {
+    return [null, null];
+  }
+
+  if (!mongoose.isValidObjectId(assignee)) {
+    return ["Invalid assignee ID", null];
+  }
+
+  const user = await User.findOne({
+    _id: assignee,
+    account: accountId,
+    isActive: true,
+    isDeleted: false,
+  }).select("_id");
+
+  if (!user) {
+    return ["Assignee not found in this account", null];
+  }
+
+  return [null, user._id];
+};
+
+/**
+ * Save a note after a checklist change and answer with the checklist
+ */
+const saveChecklist = async (res, note, user, statusCode, message, item) => {
+  await note.save();
+  await publishNoteEvent(NOTE_EVENT_TYPES.UPDATED, note, user);
+
+  sendResponse(res, statusCode, true, message, {
+    noteId: note._id,
+    ...(item ? { item: formatChecklistItem(item) } : {}),
+    checklist: note.getSortedChecklist().map(formatChecklistItem),
+    progress: note.checklistProgress,
+    version: note.version,
+  });
+};
+
+/**
+ * Get the checklist of a note
+ * GET /notes/:id/checklist
+ */
+const getChecklist = async (req, res) => {
+  try {
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    sendResponse(res, 200, true, "Checklist retrieved successfully", {
+      noteId: note._id,
+      checklist: note.getSortedChecklist().map(formatChecklistItem),
+      progress: note.checklistProgress,
+      version: note.version,
+    });
+  } catch (error) {
+    console.error("Get checklist error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid ID format");
+    }
+    sendError(res, 500, "Failed to retrieve checklist");
+  }
+};
+
+/**
+ * Add an item at the end of a note's checklist
+ * POST /notes/:id/checklist
+ */
+const addChecklistItem = async (req, res) => {
+  try {
+    const { text, assignee = null } = req.body;
+    const user = req.user;
+
+    const invalidText = validateChecklistText(text);
+    if (invalidText) {
+      return sendError(res, 400, invalidText);
+    }
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    if (!note.hasPermission(user, SHARE_PERMISSIONS.EDITOR)) {
+      return sendError(
+        res,
+        403,
+        "You do not have permission to update this note"
+      );
+    }
+
+    if (note.checklist.length >= MAX_CHECKLIST_ITEMS) {
+      return sendError(
+        res,
+        400,
+        `Maximum ${MAX_CHECKLIST_ITEMS} checklist items allowed`
+      );
+    }
+
+    const [invalidAssignee, assigneeId] = await resolveAssignee(
+      assignee,
+      note.account
+    );
+    if (invalidAssignee) {
+      return sendError(res, 400, invalidAssignee);
+    }
+
+    const lastOrder = note.checklist.reduce(
+      (max, item) => Math.max(max, item.order),
+      -1
+    );
+
+    note.checklist.push({
+      text: text.trim(),
+      order: lastOrder + 1,
+      assignee: assigneeId,
+      createdBy: user._id,
+    });
+    const item = note.checklist[note.checklist.length - 1];
+
+    await saveChecklist(
+      res,
+      note,
+      user,
+      201,
+      "Checklist item added successfully",
+      item
+    );
+  } catch (error) {
+    console.error("Add checklist item error:", error);
+    if (error.name === "VersionError") {
+      return sendError(res, 409, "Note was modified by another request");
+    }
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid ID format");
+    }
+    sendError(res, 500, "Failed to add checklist item");
+  }
+};
+
+/**
+ * Update the text, state or assignee of a checklist item
+ * PUT /notes/:id/checklist/:itemId
+ */
+const updateChecklistItem = async (req, res) => {
+  try {
+    const { text, checked, assignee } = req.body;
+    const user = req.user;
+
+    if (checked !== undefined && typeof checked !== "boolean") {
+      return sendError(res, 400, "Checked must be true or false");
+    }
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    if (!note.hasPermission(user, SHARE_PERMISSIONS.EDITOR)) {
+      return sendError(
+        res,
+        403,
+        "You do not have permission to update this note"
+      );
+    }
+
+    const item = note.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return sendError(res, 404, "Checklist item not found");
+    }
+
+    if (text !== undefined) {
+      const invalidText = validateChecklistText(text);
+      if (invalidText) {
+        return sendError(res, 400, invalidText);
+      }
+      item.text = text.trim();
+    }
+
+    if (assignee !== undefined) {
+      const [invalidAssignee, assigneeId] = await resolveAssignee(
+        assignee,
+        note.account
+      );
+      if (invalidAssignee) {
+        return sendError(res, 400, invalidAssignee);
+      }
+      item.assignee = assigneeId;
+    }
+
+    if (checked !== undefined && checked !== item.checked) {
+      item.checked = checked;
+      item.checkedAt = checked ? new Date() : null;
+      item.checkedBy = checked ? user._id : null;
+    }
+
+    await saveChecklist(
+      res,
+      note,
+      user,
+      200,
+      "Checklist item updated successfully",
+      item
+    );
+  } catch (error) {
+    console.error("Update checklist item error:", error);
+    if (error.name === "VersionError") {
+      return sendError(res, 409, "Note was modified by another request");
+    }
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid ID format");
+    }
+    sendError(res, 500, "Failed to update checklist item");
+  }
+};
+
+/**
+ * Toggle a checklist item between done and open
+ * POST /notes/:id/checklist/:itemId/toggle
+ * Editors and the item's assignee may toggle it
+ */
+const toggleChecklistItem = async (req, res) => {
+  try {
+    const user = req.user;
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    const item = note.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return sendError(res, 404, "Checklist item not found");
+    }
+
+    const isAssignee =
+      item.assignee && item.assignee.toString() === user._id.toString();
+
+    if (!isAssignee && !note.hasPermission(user, SHARE_PERMISSIONS.EDITOR)) {
+      return sendError(
+        res,
+        403,
+        "You do not have permission to update this checklist item"
+      );
+    }
+
+    item.checked = !item.checked;
+    item.checkedAt = item.checked ? new Date() : null;
+    item.checkedBy = item.checked ? user._id : null;
+
+    await saveChecklist(
+      res,
+      note,
+      user,
+      200,
+      item.checked ? "Checklist item checked" : "Checklist item unchecked",
+      item
+    );
+  } catch (error) {
+    console.error("Toggle checklist item error:", error);
+    if (error.name === "VersionError") {
+      return sendError(res, 409, "Note was modified by another request");
+    }
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid ID format");
+    }
+    sendError(res, 500, "Failed to update checklist item");
+  }
+};
+
+/**
+ * Reorder the checklist of a note
+ * PUT /notes/:id/checklist/order
+ * Body: { itemIds: [...] } listing every item in the new order
+ */
+const reorderChecklist = async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+    const user = req.user;
+
+    if (!Array.isArray(itemIds)) {
+      return sendError(res, 400, "Item IDs must be an array");
+    }
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    if (!note.hasPermission(user, SHARE_PERMISSIONS.EDITOR)) {
+      return sendError(
+        res,
+        403,
+        "You do not have permission to update this note"
+      );
+    }
+
+    const requestedIds = itemIds.map((itemId) => String(itemId));
+    const currentIds = note.checklist.map((item) => item._id.toString());
+
+    const isSameSet =
+      requestedIds.length === currentIds.length &&
+      new Set(requestedIds).size === requestedIds.length &&
+      requestedIds.every((itemId) => currentIds.includes(itemId));
+
+    if (!isSameSet) {
+      return sendError(
+        res,
+        400,
+        "Item IDs must list every checklist item exactly once"
+      );
+    }
+
+    requestedIds.forEach((itemId, index) => {
+      note.checklist.id(itemId).order = index;
+    });
+
+    await saveChecklist(
+      res,
+      note,
+      user,
+      200,
+      "Checklist reordered successfully"
+    );
+  } catch (error) {
+    console.error("Reorder checklist error:", error);
+    if (error.name === "VersionError") {
+      return sendError(res, 409, "Note was modified by another request");
+    }
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid ID format");
+    }
+    sendError(res, 500, "Failed to reorder checklist");
+  }
+};
+
+/**
+ * Delete a checklist item
+ * DELETE /notes/:id/checklist/:itemId
+ */
+const deleteChecklistItem = async (req, res) => {
+  try {
+    const user = req.user;
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    if (!note.hasPermission(user, SHARE_PERMISSIONS.EDITOR)) {
+      return sendError(
+        res,
+        403,
+        "You do not have permission to update this note"
+      );
+    }
+
+    const item = note.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return sendError(res, 404, "Checklist item not found");
+    }
+
+    item.deleteOne();
+
+    await saveChecklist(
+      res,
+      note,
+      user,
+      200,
+      "Checklist item deleted successfully"
+    );
+  } catch (error) {
+    console.error("Delete checklist item error:", error);
+    if (error.name === "VersionError") {
+      return sendError(res, 409, "Note was modified by another request");
+    }
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid ID format");
+    }
+    sendError(res, 500, "Failed to delete checklist item");
+  }
+};
+
+module.exports = {
+  getChecklist,
+  addChecklistItem,
+  updateChecklistItem,
+  toggleChecklistItem,
+  reorderChecklist,
+  deleteChecklistItem,
+};
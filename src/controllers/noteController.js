@@ -1,24 +1,213 @@
+const mongoose = require("mongoose");
 const Note = require("../models/Note");
 const Tag = require("../models/Tag");
 const Account = require("../models/Account");
-const { sendResponse, sendError } = require("../utils/helpers");
-const { ROLES } = require("../utils/constants");
+const NoteVersion = require("../models/NoteVersion");
+const Notebook = require("../models/Notebook");
+const PublicLink = require("../models/PublicLink");
+const NoteTemplate = require("../models/NoteTemplate");
+const { sendResponse, sendError, matchesETag } = require("../utils/helpers");
+const {
+  ROLES,
+  SHARE_PERMISSIONS,
+  NOTE_FORMATS,
+  NOTE_VERSIONED_FIELDS,
+  NOTE_EVENT_TYPES,
+} = require("../utils/constants");
+const { publishNoteEvent } = require("../utils/noteEvents");
+const { formatChecklistItem } = require("../utils/checklist");
+const {
+  isValidNotebookFilter,
+  validateNoteStateFilters,
+  applyNoteStateFilters,
+  buildNoteQuery,
+  buildNoteSort,
+} = require("../utils/noteQuery");
+const {
+  parseSearchQuery,
+  getHighlightTerms,
+  buildHighlights,
+} = require("../utils/searchQuery");
+const {
+  validateTemplateVariables,
+  buildTemplateVariables,
+  renderNoteTemplate,
+} = require("../utils/templates");
+const { sendNoteLimitExceeded } = require("../middleware/subscriptionLimit");
+
+/**
+ * Format a note with populated tags and author for API responses
+ */
+const formatNote = (note, user) => ({
+  id: note._id,
+  title: note.title,
+  description: note.description,
+  format: note.format,
+  tags: note.tags.map((tag) => tag.tagName),
+  notebook: note.notebook,
+  author: {
+    id: note.user._id,
+    name: note.user.name,
+    email: note.user.email,
+  },
+  isPinned: note.isPinned,
+  isArchived: note.isArchived,
+  isFavorite: note.isFavoriteOf(user._id),
+  dueAt: note.dueAt,
+  remindAt: note.remindAt,
+  checklist: note.getSortedChecklist().map(formatChecklistItem),
+  checklistProgress: note.checklistProgress,
+  access: note.getAccessLevel(user),
+  version: note.version,
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt,
+});
+
+const SCHEDULE_FIELD_LABELS = {
+  dueAt: "Due date",
+  remindAt: "Reminder date",
+};
+
+/**
+ * Set the due date and reminder of a note from request fields
+ * null clears a field, returns an error message or null
+ */
+const applySchedule = (note, fields) => {
+  for (const [field, label] of Object.entries(SCHEDULE_FIELD_LABELS)) {
+    const value = fields[field];
+    if (value === undefined) continue;
+
+    const date = value === null || value === "" ? null : new Date(value);
+    if (date && Number.isNaN(date.getTime())) {
+      return `${label} must be a valid date`;
+    }
+
+    note[field] = date;
+  }
+
+  return null;
+};
+
+/**
+ * Check the ?render option, only "html" is supported
+ */
+const isValidRender = (render) => render === undefined || render === "html";
+
+/**
+ * Send the current server copy of a note when a write was based on a
+ * stale version (412 for a failed If-Match, 409 for a lost race)
+ */
+const sendStaleNote = async (res, statusCode, noteId, user) => {
+  const current = await Note.findById(noteId)
+    .populate("tags")
+    .populate("user", "name email");
+
+  if (!current || current.isDeleted) {
+    return sendError(res, 404, "Note not found");
+  }
+
+  res.set("ETag", current.getETag());
+
+  return sendResponse(
+    res,
+    statusCode,
+    false,
+    statusCode === 412
+      ? "Note has been modified since it was last retrieved"
+      : "Note was modified by someone else while saving",
+    { note: formatNote(current, user) }
+  );
+};
 
 /**
  * Create a new note
  * POST /notes
+ * With templateId, missing fields are filled from the template and its
+ * {{placeholders}} are replaced using the optional variables object
  */
 const createNote = async (req, res) => {
   try {
-    const { title, description, tags = [] } = req.body;
+    const { templateId, variables = {} } = req.body;
+    let {
+      title,
+      description,
+      tags = [],
+      notebook = null,
+      format = NOTE_FORMATS.PLAIN,
+    } = req.body;
     const user = req.user;
     const account = req.account;
 
-    // Validate required fields
-    if (!title) {
+    // Fill fields from a template, explicit fields take precedence
+    if (templateId) {
+      if (!mongoose.isValidObjectId(templateId)) {
+        return sendError(res, 400, "Invalid template ID");
+      }
+
+      const invalidVariables = validateTemplateVariables(variables);
+      if (invalidVariables) {
+        return sendError(res, 400, invalidVariables);
+      }
+
+      const template = await NoteTemplate.findOne({
+        _id: templateId,
+        account: account._id,
+      });
+
+      if (!template) {
+        return sendError(res, 404, "Template not found");
+      }
+
+      const rendered = renderNoteTemplate(
+        template,
+        buildTemplateVariables(user, variables)
+      );
+
+      title = req.body.title ?? rendered.title.slice(0, 200);
+      description = req.body.description ?? rendered.description;
+      tags = req.body.tags ?? rendered.tags;
+      format = req.body.format ?? rendered.format;
+
+      // Variable values can push the description past its limit
+      if (description.length > 10000) {
+        return sendError(
+          res,
+          400,
+          "Description must not exceed 10000 characters"
+        );
+      }
+
+      // or a rendered tag past the tag name limit
+      if (
+        tags.some(
+          (tagName) => typeof tagName === "string" && tagName.trim().length > 50
+        )
+      ) {
+        return sendError(res, 400, "Tag must not exceed 50 characters");
+      }
+    }
+
+    // Validate required fields, a blank variable can leave a blank title
+    if (!title || !title.trim()) {
       return sendError(res, 400, "Title is required");
     }
 
+    if (!Object.values(NOTE_FORMATS).includes(format)) {
+      return sendError(res, 400, "Format must be either plain or markdown");
+    }
+
+    // Validate notebook if provided
+    if (notebook) {
+      const notebookExists = await Notebook.exists({
+        _id: notebook,
+        account: account._id,
+      });
+
+      if (!notebookExists) {
+        return sendError(res, 404, "Notebook not found");
+      }
+    }
+
     // Process tags if provided
     let tagIds = [];
     if (tags && tags.length > 0) {
@@ -36,20 +225,52 @@ const createNote = async (req, res) => {
       user: user._id,
       title: title.trim(),
       description: description ? description.trim() : "",
+      format,
       tags: tagIds,
+      notebook: notebook || null,
     });
 
-    await note.save();
+    const invalidSchedule = applySchedule(note, req.body);
+    if (invalidSchedule) {
+      return sendError(res, 400, invalidSchedule);
+    }
+
+    // Index [[wiki links]] of the description
+    await note.refreshLinks();
+
+    // Take a note slot, checkNoteLimit only saw a snapshot of the count
+    if (!(await account.claimNoteSlot())) {
+      return sendNoteLimitExceeded(res, account);
+    }
+
+    try {
+      await note.save();
+    } catch (error) {
+      await account.releaseNoteSlots();
+      throw error;
+    }
 
-    // Increment account note count
-    await account.incrementNoteCount();
+    // Links written before this note existed now point to it
+    await Note.resolvePendingLinks(note);
 
     // Populate tags for response
     await note.populate("tags");
 
+    // Record the initial revision
+    await NoteVersion.record(note, {
+      author: user._id,
+      plan: account.plan,
+      changedFields: NOTE_VERSIONED_FIELDS,
+    });
+
+    await publishNoteEvent(NOTE_EVENT_TYPES.CREATED, note, user);
+
     sendResponse(res, 201, true, "Note created successfully");
   } catch (error) {
     console.error("Create note error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid notebook ID");
+    }
     sendError(res, 500, "Failed to create note");
   }
 };
@@ -57,43 +278,84 @@ const createNote = async (req, res) => {
 /**
  * Get all notes for the tenant
  * GET /notes
+ * ?q= accepts the search query language (see parseSearchQuery), matches are
+ * returned with highlighted snippets
+ * ?sort=relevance|updatedAt|createdAt|title&order=asc|desc
  */
 const getNotes = async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, tags } = req.query;
+    const {
+      page = 1,
+      limit = 10,
+      search,
+      tags,
+      notebook,
+      render,
+      pinned,
+      archived = "false",
+      favorite,
+      due,
+      assigned,
+      q,
+      sort,
+      order,
+    } = req.query;
     const user = req.user;
     if(limit > 100) {
       limit = 100;
     }
     const tenantFilter = req.tenantFilter || {};
 
-    // Build query
-    const query = {
-      ...tenantFilter,
-      isDeleted: false,
-    };
-
-    // Add text search if provided
-    if (search) {
-      query.$text = { $search: search };
+    if (notebook && !isValidNotebookFilter(notebook)) {
+      return sendError(res, 400, "Invalid notebook ID");
     }
 
-    // Add tag filter if provided
-    // (STOP HERE)
-    if (tags) {
-      const tagNames = typeof tags === "string" ? tags.split(",") : tags;
+    if (!isValidRender(render)) {
+      return sendError(res, 400, "Render must be html");
+    }
 
-      const tagObjects = await Tag.find({
-        account: user.account._id,
-        tagName: { $in: tagNames.map((tag) => tag.toLowerCase()) },
-      });
+    const invalidFilter = validateNoteStateFilters({
+      pinned,
+      archived,
+      favorite,
+      due,
+      assigned,
+    });
+    if (invalidFilter) {
+      return sendError(res, 400, invalidFilter);
+    }
 
-      if (tagObjects.length > 0) {
-        query.tags = { $in: tagObjects.map((tag) => tag._id) };
-      } else {
-        // if you want NO results when tags don't exist:
-        query.tags = { $in: [] };
+    let searchQuery = null;
+    if (q !== undefined) {
+      const { parsed, error } = parseSearchQuery(q);
+      if (error) {
+        return sendError(res, 400, error);
       }
+      searchQuery = parsed;
+    }
+
+    // Build query
+    const query = await buildNoteQuery(tenantFilter, user.account._id, {
+      search,
+      tags,
+      notebook,
+      pinned,
+      archived,
+      favorite,
+      due,
+      assigned,
+      searchQuery,
+      userId: user._id,
+    });
+
+    const { sort: noteSort, error: invalidSort } = buildNoteSort({
+      sort,
+      order,
+      due,
+      hasTextSearch: Boolean(query.$text),
+    });
+    if (invalidSort) {
+      return sendError(res, 400, invalidSort);
     }
 
     // Calculate pagination
@@ -107,11 +369,11 @@ const getNotes = async (req, res) => {
       .populate("user", "name email")
       .skip(skip)
       .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
+      .sort(noteSort);
 
-    // Add text search score sorting if searching
-    if (search) {
-      notesQuery = notesQuery.sort({ score: { $meta: "textScore" } });
+    // Include the cached rendering when HTML is requested
+    if (render === "html") {
+      notesQuery = notesQuery.select("+renderedHtml");
     }
 
     const notes = await notesQuery;
@@ -121,16 +383,41 @@ const getNotes = async (req, res) => {
       id: note._id,
       title: note.title,
       description: note.description,
+      format: note.format,
       tags: note.tags.map((tag) => tag.tagName),
+      notebook: note.notebook,
       author: {
         id: note.user._id,
         name: note.user.name,
         email: note.user.email,
       },
+      isPinned: note.isPinned,
+      isArchived: note.isArchived,
+      isFavorite: note.isFavoriteOf(user._id),
+      dueAt: note.dueAt,
+      remindAt: note.remindAt,
+      checklistProgress: note.checklistProgress,
       createdAt: note.createdAt,
       updatedAt: note.updatedAt,
     }));
 
+    if (render === "html") {
+      for (const [index, note] of notes.entries()) {
+        formattedNotes[index].html = note.getRenderedHtml();
+      }
+    }
+
+    // Show where the search terms matched
+    const highlightTerms = getHighlightTerms(search, searchQuery);
+    if (highlightTerms.length > 0) {
+      for (const [index, note] of notes.entries()) {
+        formattedNotes[index].highlights = buildHighlights(
+          note,
+          highlightTerms
+        );
+      }
+    }
+
     sendResponse(res, 200, true, "Notes retrieved successfully", {
       notes: formattedNotes,
       pagination: {
@@ -153,13 +440,19 @@ const getNotes = async (req, res) => {
 const getNoteById = async (req, res) => {
   try {
     const { id } = req.params;
+    const { render } = req.query;
     const tenantFilter = req.tenantFilter || {};
 
+    if (!isValidRender(render)) {
+      return sendError(res, 400, "Render must be html");
+    }
+
     const note = await Note.findOne({
       _id: id,
       ...tenantFilter,
       isDeleted: false,
     })
+      .select(render === "html" ? "+renderedHtml" : "")
       .populate("tags")
       .populate("user", "name email");
 
@@ -167,20 +460,22 @@ const getNoteById = async (req, res) => {
       return sendError(res, 404, "Note not found");
     }
 
+    const etag = note.getETag(render);
+    res.set("ETag", etag);
+    res.set("Cache-Control", "private, no-cache");
+
+    // Cheap polling: nothing changed since the client's copy
+    if (matchesETag(req.get("If-None-Match"), etag)) {
+      return res.status(304).end();
+    }
+
+    const formattedNote = formatNote(note, req.user);
+    if (render === "html") {
+      formattedNote.html = note.getRenderedHtml();
+    }
+
     sendResponse(res, 200, true, "Note retrieved successfully", {
-      note: {
-        id: note._id,
-        title: note.title,
-        description: note.description,
-        tags: note.tags.map((tag) => tag.tagName),
-        author: {
-          id: note.user._id,
-          name: note.user.name,
-          email: note.user.email,
-        },
-        createdAt: note.createdAt,
-        updatedAt: note.updatedAt,
-      },
+      note: formattedNote,
     });
   } catch (error) {
     console.error("Get note by ID error:", error);
@@ -198,10 +493,14 @@ const getNoteById = async (req, res) => {
 const updateNote = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, tags } = req.body;
+    const { title, description, tags, notebook, format } = req.body;
     const user = req.user;
     const tenantFilter = req.tenantFilter || {};
 
+    if (format !== undefined && !Object.values(NOTE_FORMATS).includes(format)) {
+      return sendError(res, 400, "Format must be either plain or markdown");
+    }
+
     // Find note
     const note = await Note.findOne({
       _id: id,
@@ -213,14 +512,28 @@ const updateNote = async (req, res) => {
       return sendError(res, 404, "Note not found");
     }
 
-    // Check ownership if user is not admin
-    if (
-      user.role.roleName !== ROLES.ADMIN &&
-      note.user.toString() !== user._id.toString()
-    ) {
-      return sendError(res, 403, "You can only update your own notes");
+    // Owner, admin or a user the note is shared with as editor
+    if (!note.hasPermission(user, SHARE_PERMISSIONS.EDITOR)) {
+      return sendError(
+        res,
+        403,
+        "You do not have permission to update this note"
+      );
+    }
+
+    // Reject writes based on a stale copy
+    const ifMatch = req.get("If-Match");
+    if (ifMatch && !matchesETag(ifMatch, note.getETag())) {
+      return sendStaleNote(res, 412, note._id, user);
     }
 
+    // Make sure the state being overwritten is kept as a revision
+    await NoteVersion.ensureBaseline(note, user.account.plan);
+
+    // Keep previous tag ids and title to detect changes
+    const previousTagIds = note.tags.map((tag) => tag.toString());
+    const previousTitle = note.title;
+
     // Update fields
     if (title !== undefined) {
       if (!title.trim()) {
@@ -233,6 +546,11 @@ const updateNote = async (req, res) => {
       note.description = description ? description.trim() : "";
     }
 
+    // A new description or format also refreshes the cached rendering
+    if (format !== undefined) {
+      note.format = format;
+    }
+
     // Process tags if provided
     if (tags !== undefined) {
       let tagIds = [];
@@ -251,21 +569,79 @@ const updateNote = async (req, res) => {
       note.tags = [...new Set(tagIds)];
     }
 
+    // Move note to another notebook if provided (null removes it from any notebook)
+    if (notebook !== undefined) {
+      if (notebook) {
+        if (!mongoose.isValidObjectId(notebook)) {
+          return sendError(res, 400, "Invalid notebook ID");
+        }
+
+        const notebookExists = await Notebook.exists({
+          _id: notebook,
+          account: user.account._id,
+        });
+
+        if (!notebookExists) {
+          return sendError(res, 404, "Notebook not found");
+        }
+      }
+      note.notebook = notebook || null;
+    }
+
+    // Due date and reminder are not part of the revision history
+    const invalidSchedule = applySchedule(note, req.body);
+    if (invalidSchedule) {
+      return sendError(res, 400, invalidSchedule);
+    }
+
+    // Work out which versioned fields actually changed
+    const changedFields = note.getChangedVersionedFields(previousTagIds);
+
+    // Keep the wiki link index in step with the description
+    if (changedFields.includes("description")) {
+      await note.refreshLinks();
+    }
+
     await note.save();
     await note.populate("tags");
 
+    if (changedFields.includes("title")) {
+      await Note.retitleLinks(note, previousTitle);
+    }
+
+    // Record a revision only when something changed
+    if (changedFields.length > 0) {
+      await NoteVersion.record(note, {
+        author: user._id,
+        plan: user.account.plan,
+        changedFields,
+      });
+    }
+
+    await publishNoteEvent(NOTE_EVENT_TYPES.UPDATED, note, user);
+
+    res.set("ETag", note.getETag());
+
     sendResponse(res, 200, true, "Note updated successfully", {
       note: {
         id: note._id,
         title: note.title,
         description: note.description,
+        format: note.format,
         tags: note.tags.map((tag) => tag.tagName),
+        notebook: note.notebook,
+        dueAt: note.dueAt,
+        remindAt: note.remindAt,
+        version: note.version,
         createdAt: note.createdAt,
         updatedAt: note.updatedAt,
       },
     });
   } catch (error) {
     console.error("Update note error:", error);
+    if (error.name === "VersionError") {
+      return sendStaleNote(res, 409, req.params.id, req.user);
+    }
     if (error.name === "CastError") {
       return sendError(res, 400, "Invalid note ID");
     }
@@ -303,16 +679,37 @@ const deleteNote = async (req, res) => {
       return sendError(res, 403, "You can only delete your own notes");
     }
 
-    // Soft delete the note
+    // Reject deletes based on a stale copy
+    const ifMatch = req.get("If-Match");
+    if (ifMatch && !matchesETag(ifMatch, note.getETag())) {
+      return sendStaleNote(res, 412, note._id, user);
+    }
+
+    // Soft delete the note (moves it to the trash)
     note.isDeleted = true;
+    note.deletedAt = new Date();
+    note.deletedBy = user._id;
     await note.save();
 
-    // Decrement account note count
-    await account.decrementNoteCount();
+    // Public links die with the note
+    await PublicLink.revokeForNotes([note._id]);
+
+    // Wiki links to the note stop resolving
+    await Note.setLinksBroken([note._id], true);
+
+    // Decrement account note count, archived notes may already be excluded
+    if (account.countsTowardNoteLimit(note)) {
+      await account.releaseNoteSlots();
+    }
+
+    await publishNoteEvent(NOTE_EVENT_TYPES.DELETED, note, user);
 
     sendResponse(res, 200, true, "Note deleted successfully");
   } catch (error) {
     console.error("Delete note error:", error);
+    if (error.name === "VersionError") {
+      return sendStaleNote(res, 409, req.params.id, req.user);
+    }
     if (error.name === "CastError") {
       return sendError(res, 400, "Invalid note ID");
     }
@@ -320,30 +717,134 @@ const deleteNote = async (req, res) => {
   }
 };
 
+/**
+ * Move note to another notebook
+ * POST /notes/:id/move
+ */
+const moveNote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notebook = null } = req.body;
+    const user = req.user;
+    const tenantFilter = req.tenantFilter || {};
+
+    // Find note
+    const note = await Note.findOne({
+      _id: id,
+      ...tenantFilter,
+      isDeleted: false,
+    });
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    // Check ownership if user is not admin
+    if (
+      user.role.roleName !== ROLES.ADMIN &&
+      note.user.toString() !== user._id.toString()
+    ) {
+      return sendError(res, 403, "You can only move your own notes");
+    }
+
+    // null moves the note out of any notebook
+    if (notebook) {
+      if (!mongoose.isValidObjectId(notebook)) {
+        return sendError(res, 400, "Invalid notebook ID");
+      }
+
+      const notebookExists = await Notebook.exists({
+        _id: notebook,
+        account: user.account._id,
+      });
+
+      if (!notebookExists) {
+        return sendError(res, 404, "Notebook not found");
+      }
+    }
+
+    note.notebook = notebook || null;
+    await note.save();
+
+    await publishNoteEvent(NOTE_EVENT_TYPES.UPDATED, note, user);
+
+    sendResponse(res, 200, true, "Note moved successfully", {
+      note: {
+        id: note._id,
+        title: note.title,
+        notebook: note.notebook,
+        updatedAt: note.updatedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Move note error:", error);
+    if (error.name === "VersionError") {
+      return sendError(res, 409, "Note was modified by another request");
+    }
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to move note");
+  }
+};
+
 /**
  * Get user's own notes
  * GET /notes/my-notes
  */
 const getMyNotes = async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, tags } = req.query;
+    const {
+      page = 1,
+      limit = 10,
+      search,
+      tags,
+      notebook,
+      pinned,
+      archived = "false",
+      favorite,
+      due,
+      assigned,
+    } = req.query;
     const user = req.user;
     if(limit > 100){
       limit = 100;
     }
 
+    const invalidFilter = validateNoteStateFilters({
+      pinned,
+      archived,
+      favorite,
+      due,
+      assigned,
+    });
+    if (invalidFilter) {
+      return sendError(res, 400, invalidFilter);
+    }
+
     // Build query for user's own notes
-    const query = {
-      account: user.account._id,
-      user: user._id,
-      isDeleted: false,
-    };
+    const query = applyNoteStateFilters(
+      {
+        account: user.account._id,
+        user: user._id,
+        isDeleted: false,
+      },
+      { pinned, archived, favorite, due, assigned, userId: user._id }
+    );
 
     // Add text search if provided
     if (search) {
       query.$text = { $search: search };
     }
 
+    // Add notebook filter if provided ("none" for notes outside any notebook)
+    if (notebook) {
+      if (notebook !== "none" && !mongoose.isValidObjectId(notebook)) {
+        return sendError(res, 400, "Invalid notebook ID");
+      }
+      query.notebook = notebook === "none" ? null : notebook;
+    }
+
     // Add tag filter if provided
     if (tags) {
       const tagNames = Array.isArray(tags) ? tags : [tags];
@@ -384,7 +885,7 @@ const getMyNotes = async (req, res) => {
       .populate("tags")
       .skip(skip)
       .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
+      .sort(due ? { isPinned: -1, dueAt: 1 } : { isPinned: -1, createdAt: -1 });
 
     // Add text search score sorting if searching
     if (search) {
@@ -399,6 +900,13 @@ const getMyNotes = async (req, res) => {
       title: note.title,
       description: note.description,
       tags: note.tags.map((tag) => tag.tagName),
+      notebook: note.notebook,
+      isPinned: note.isPinned,
+      isArchived: note.isArchived,
+      isFavorite: note.isFavoriteOf(user._id),
+      dueAt: note.dueAt,
+      remindAt: note.remindAt,
+      checklistProgress: note.checklistProgress,
       createdAt: note.createdAt,
       updatedAt: note.updatedAt,
     }));
@@ -424,5 +932,6 @@ module.exports = {
   getNoteById,
   updateNote,
   deleteNote,
+  moveNote,
   getMyNotes,
 };
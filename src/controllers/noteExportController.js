@@ -0,0 +1,206 @@
+const fs = require("fs");
+const Note = require("../models/Note");
+const ExportJob = require("../models/ExportJob");
+const { sendResponse, sendError } = require("../utils/helpers");
+const { EXPORT_FORMATS, EXPORT_JOB_STATUS } = require("../utils/constants");
+const { isValidNotebookFilter, buildNoteQuery } = require("../utils/noteQuery");
+const {
+  getExportFileName,
+  getExportContentType,
+  writeNotesExport,
+} = require("../utils/noteExport");
+const { enqueueExportJob } = require("../jobs/noteExport");
+
+/**
+ * Format an export job for API responses
+ */
+const formatJob = (job) => ({
+  id: job._id,
+  format: job.format,
+  filters: job.filters,
+  status: job.status,
+  noteCount: job.noteCount,
+  fileName: job.fileName,
+  fileSize: job.fileSize,
+  error: job.error,
+  downloadUrl:
+    job.status === EXPORT_JOB_STATUS.COMPLETED
+      ? `/notes/export/jobs/${job._id}/download`
+      : null,
+  requestedBy: job.requestedBy,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+});
+
+/**
+ * Export every note of the tenant as a Markdown ZIP or a JSON document
+ * GET /notes/export?format=markdown|json
+ * Accepts the search/tags/notebook filters of GET /notes. Large exports,
+ * or ?async=true, run as a background job instead of streaming
+ */
+const exportNotes = async (req, res) => {
+  try {
+    const {
+      format = EXPORT_FORMATS.MARKDOWN,
+      search,
+      tags,
+      notebook,
+      async: runInBackground,
+    } = req.query;
+    const user = req.user;
+    const account = req.account;
+    const tenantFilter = req.tenantFilter || {};
+
+    if (!Object.values(EXPORT_FORMATS).includes(format)) {
+      return sendError(res, 400, "Format must be either markdown or json");
+    }
+
+    if (notebook && !isValidNotebookFilter(notebook)) {
+      return sendError(res, 400, "Invalid notebook ID");
+    }
+
+    const filters = {
+      search: search || null,
+      tags: tags ? (typeof tags === "string" ? tags.split(",") : tags) : [],
+      notebook: notebook || null,
+    };
+
+    const query = await buildNoteQuery(tenantFilter, account._id, filters);
+    const total = await Note.countDocuments(query);
+
+    const syncLimit = parseInt(process.env.EXPORT_SYNC_LIMIT) || 500;
+
+    if (runInBackground === "true" || total > syncLimit) {
+      const job = await ExportJob.create({
+        account: account._id,
+        requestedBy: user._id,
+        format,
+        filters,
+        noteCount: total,
+      });
+
+      enqueueExportJob(job._id);
+
+      return sendResponse(res, 202, true, "Export started", {
+        job: formatJob(job),
+        statusUrl: `/notes/export/jobs/${job._id}`,
+      });
+    }
+
+    res.set("Content-Type", getExportContentType(format));
+    res.attachment(getExportFileName(format));
+    res.set("Cache-Control", "no-store");
+
+    await writeNotesExport(format, query, res, {
+      account: { id: account._id, slug: account.slug },
+    });
+  } catch (error) {
+    console.error("Export notes error:", error);
+    // The download may already be under way
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    sendError(res, 500, "Failed to export notes");
+  }
+};
+
+/**
+ * Get export jobs of the tenant
+ * GET /notes/export/jobs
+ */
+const getExportJobs = async (req, res) => {
+  try {
+    const account = req.account;
+
+    const jobs = await ExportJob.find({ account: account._id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    sendResponse(res, 200, true, "Export jobs retrieved successfully", {
+      jobs: jobs.map(formatJob),
+    });
+  } catch (error) {
+    console.error("Get export jobs error:", error);
+    sendError(res, 500, "Failed to retrieve export jobs");
+  }
+};
+
+/**
+ * Get status of an export job
+ * GET /notes/export/jobs/:jobId
+ */
+const getExportJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const account = req.account;
+
+    const job = await ExportJob.findOne({ _id: jobId, account: account._id });
+
+    if (!job) {
+      return sendError(res, 404, "Export job not found");
+    }
+
+    sendResponse(res, 200, true, "Export job retrieved successfully", {
+      job: formatJob(job),
+    });
+  } catch (error) {
+    console.error("Get export job error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid export job ID");
+    }
+    sendError(res, 500, "Failed to retrieve export job");
+  }
+};
+
+/**
+ * Download the artifact of a completed export job
+ * GET /notes/export/jobs/:jobId/download
+ */
+const downloadExport = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const account = req.account;
+
+    const job = await ExportJob.findOne({ _id: jobId, account: account._id });
+
+    if (!job) {
+      return sendError(res, 404, "Export job not found");
+    }
+
+    if (job.status !== EXPORT_JOB_STATUS.COMPLETED) {
+      return sendError(res, 409, "Export is not ready yet", {
+        status: job.status,
+      });
+    }
+
+    if (
+      (job.expiresAt && job.expiresAt < new Date()) ||
+      !fs.existsSync(job.filePath)
+    ) {
+      return sendError(res, 410, "Export has expired");
+    }
+
+    res.set("Content-Type", getExportContentType(job.format));
+    res.set("Cache-Control", "no-store");
+    res.download(job.filePath, job.fileName, (error) => {
+      if (error) {
+        console.error("Download export error:", error);
+      }
+    });
+  } catch (error) {
+    console.error("Download export error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid export job ID");
+    }
+    sendError(res, 500, "Failed to download export");
+  }
+};
+
+module.exports = {
+  exportNotes,
+  getExportJobs,
+  getExportJob,
+  downloadExport,
+};
@@ -0,0 +1,225 @@
+const mongoose = require("mongoose");
+const Note = require("../models/Note");
+const Tag = require("../models/Tag");
+const Notebook = require("../models/Notebook");
+const NoteVersion = require("../models/NoteVersion");
+const { sendResponse, sendError } = require("../utils/helpers");
+const {
+  IMPORT_ITEM_STATUS,
+  NOTE_VERSIONED_FIELDS,
+  NOTE_EVENT_TYPES,
+} = require("../utils/constants");
+const {
+  isSupportedImportFile,
+  parseImportFile,
+} = require("../utils/noteImport");
+const { publishNoteEvent } = require("../utils/noteEvents");
+
+/**
+ * Create a note from imported content
+ * Resolves to null when the plan has no room for another note
+ */
+const createImportedNote = async (data, context) => {
+  const { user, account, notebook, tagCache } = context;
+
+  const tagIds = [];
+  for (const tagName of data.tags) {
+    if (!tagCache.has(tagName)) {
+      const tag = await Tag.findOrCreate(account._id, tagName);
+      tagCache.set(tagName, tag._id);
+    }
+    tagIds.push(tagCache.get(tagName));
+  }
+
+  const note = new Note({
+    account: account._id,
+    user: user._id,
+    title: data.title,
+    description: data.description,
+    format: data.format,
+    tags: tagIds,
+    notebook,
+  });
+
+  // Index [[wiki links]] of the description
+  await note.refreshLinks();
+
+  // Same rule as checkNoteLimit, claimed atomically for every imported note
+  if (!(await account.claimNoteSlot())) {
+    return null;
+  }
+
+  try {
+    await note.save();
+  } catch (error) {
+    await account.releaseNoteSlots();
+    throw error;
+  }
+
+  await Note.resolvePendingLinks(note);
+  await note.populate("tags");
+
+  // Record the initial revision
+  await NoteVersion.record(note, {
+    author: user._id,
+    plan: account.plan,
+    changedFields: NOTE_VERSIONED_FIELDS,
+  });
+
+  await publishNoteEvent(NOTE_EVENT_TYPES.CREATED, note, user);
+
+  return note;
+};
+
+/**
+ * Import the notes of one parsed entry, returns its report item
+ */
+const importEntry = async (entry, context) => {
+  const item = { source: entry.name };
+
+  if (entry.skipped || entry.error) {
+    return {
+      ...item,
+      status: entry.skipped
+        ? IMPORT_ITEM_STATUS.SKIPPED
+        : IMPORT_ITEM_STATUS.FAILED,
+      reason: entry.skipped || entry.error,
+    };
+  }
+
+  const { note: data } = entry;
+  item.title = data.title;
+
+  if (!data.title.trim()) {
+    return {
+      ...item,
+      status: IMPORT_ITEM_STATUS.FAILED,
+      reason: "Title is required",
+    };
+  }
+
+  if (data.description.length > 10000) {
+    return {
+      ...item,
+      status: IMPORT_ITEM_STATUS.FAILED,
+      reason: "Description must not exceed 10000 characters",
+    };
+  }
+
+  const limitReached = {
+    ...item,
+    status: IMPORT_ITEM_STATUS.SKIPPED,
+    reason: "Note limit exceeded for your current plan",
+  };
+
+  // Skip the work once the plan is known to be full
+  if (!context.account.canCreateNote) {
+    return limitReached;
+  }
+
+  try {
+    const note = await createImportedNote(data, context);
+    if (!note) {
+      return limitReached;
+    }
+
+    return { ...item, status: IMPORT_ITEM_STATUS.IMPORTED, noteId: note._id };
+  } catch (error) {
+    console.error("Import note error:", error);
+    return {
+      ...item,
+      status: IMPORT_ITEM_STATUS.FAILED,
+      reason: "Failed to create note",
+    };
+  }
+};
+
+/**
+ * Import notes from Markdown files, ZIP archives of Markdown or Evernote ENEX
+ * POST /notes/import (multipart field "files", optional "notebook")
+ */
+const importNotes = async (req, res) => {
+  try {
+    const { notebook = null } = req.body || {};
+    const files = req.files || [];
+    const user = req.user;
+    const account = req.account;
+
+    if (files.length === 0) {
+      return sendError(res, 400, "At least one file is required");
+    }
+
+    // Imported notes can be placed in a notebook
+    if (notebook) {
+      if (!mongoose.isValidObjectId(notebook)) {
+        return sendError(res, 400, "Invalid notebook ID");
+      }
+
+      const notebookExists = await Notebook.exists({
+        _id: notebook,
+        account: account._id,
+      });
+
+      if (!notebookExists) {
+        return sendError(res, 404, "Notebook not found");
+      }
+    }
+
+    const context = {
+      user,
+      account,
+      notebook: notebook || null,
+      tagCache: new Map(),
+    };
+
+    const report = [];
+    for (const file of files) {
+      const fileReport = { file: file.originalname, items: [] };
+      report.push(fileReport);
+
+      if (!isSupportedImportFile(file.originalname)) {
+        fileReport.error = "Unsupported file type";
+        continue;
+      }
+
+      let entries;
+      try {
+        entries = parseImportFile(file);
+      } catch (error) {
+        fileReport.error = error.message || "File could not be read";
+        continue;
+      }
+
+      for (const entry of entries) {
+        fileReport.items.push(await importEntry(entry, context));
+      }
+    }
+
+    const items = report.flatMap((fileReport) => fileReport.items);
+    const countByStatus = (status) =>
+      items.filter((item) => item.status === status).length;
+
+    const summary = {
+      files: report.length,
+      imported: countByStatus(IMPORT_ITEM_STATUS.IMPORTED),
+      skipped: countByStatus(IMPORT_ITEM_STATUS.SKIPPED),
+      failed: countByStatus(IMPORT_ITEM_STATUS.FAILED),
+      limitReached: !account.canCreateNote,
+    };
+
+    sendResponse(
+      res,
+      summary.imported > 0 ? 201 : 200,
+      true,
+      "Import completed",
+      { summary, files: report }
+    );
+  } catch (error) {
+    console.error("Import notes error:", error);
+    sendError(res, 500, "Failed to import notes");
+  }
+};
+
+module.exports = {
+  importNotes,
+};
@@ -0,0 +1,128 @@
+const Note = require("../models/Note");
+const { sendResponse, sendError } = require("../utils/helpers");
+const { ROLES, SHARE_PERMISSIONS } = require("../utils/constants");
+const { buildOwnershipFilter } = require("../middleware/rolePermission");
+const { findAccessibleNote } = require("../utils/noteAccess");
+
+/**
+ * Build the filter of notes the user is allowed to read
+ */
+const buildReadableFilter = (user) => ({
+  account: user.account._id,
+  isDeleted: false,
+  ...(user.role.roleName === ROLES.ADMIN
+    ? {}
+    : buildOwnershipFilter(user, "user", SHARE_PERMISSIONS.VIEWER)),
+});
+
+/**
+ * Get outgoing wiki links of a note
+ * GET /notes/:id/links
+ * Targets the user cannot read are reported without their ID or title
+ */
+const getNoteLinks = async (req, res) => {
+  try {
+    const user = req.user;
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    const targetIds = note.links
+      .filter((link) => link.target && !link.isBroken)
+      .map((link) => link.target);
+
+    const readableTargets = await Note.find({
+      _id: { $in: targetIds },
+      ...buildReadableFilter(user),
+    }).select("title updatedAt");
+
+    const targets = new Map(
+      readableTargets.map((target) => [target._id.toString(), target])
+    );
+
+    const links = note.links.map((link) => {
+      if (link.isBroken || !link.target) {
+        return { text: link.text, status: "broken", note: null };
+      }
+
+      const target = targets.get(link.target.toString());
+      if (!target) {
+        return { text: link.text, status: "restricted", note: null };
+      }
+
+      return {
+        text: link.text,
+        status: "ok",
+        note: {
+          id: target._id,
+          title: target.title,
+          updatedAt: target.updatedAt,
+        },
+      };
+    });
+
+    sendResponse(res, 200, true, "Note links retrieved successfully", {
+      noteId: note._id,
+      links,
+    });
+  } catch (error) {
+    console.error("Get note links error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to retrieve note links");
+  }
+};
+
+/**
+ * Get notes linking to a note
+ * GET /notes/:id/backlinks
+ * Only notes the user can read are listed
+ */
+const getBacklinks = async (req, res) => {
+  try {
+    const user = req.user;
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    const backlinks = await Note.find({
+      ...buildReadableFilter(user),
+      _id: { $ne: note._id },
+      "links.target": note._id,
+    })
+      .populate("user", "name email")
+      .sort({ updatedAt: -1 });
+
+    sendResponse(res, 200, true, "Backlinks retrieved successfully", {
+      noteId: note._id,
+      backlinks: backlinks.map((source) => ({
+        id: source._id,
+        title: source.title,
+        author: {
+          id: source.user._id,
+          name: source.user.name,
+          email: source.user.email,
+        },
+        updatedAt: source.updatedAt,
+      })),
+    });
+  } catch (error) {
+    console.error("Get backlinks error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to retrieve backlinks");
+  }
+};
+
+module.exports = {
+  getNoteLinks,
+  getBacklinks,
+};
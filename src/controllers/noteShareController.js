@@ -0,0 +1,260 @@
+const Note = require("../models/Note");
+const User = require("../models/User");
+const { sendResponse, sendError } = require("../utils/helpers");
+const { ROLES, SHARE_PERMISSIONS } = require("../utils/constants");
+
+/**
+ * Find a note and check the current user can manage its shares
+ * Only the owner or an admin can grant or revoke access
+ */
+const findManageableNote = async (req, res) => {
+  const user = req.user;
+
+  const note = await Note.findOne({
+    _id: req.params.id,
+    account: user.account._id,
+    isDeleted: false,
+  }).populate("shares.user", "name email");
+
+  if (!note) {
+    sendError(res, 404, "Note not found");
+    return null;
+  }
+
+  if (
+    user.role.roleName !== ROLES.ADMIN &&
+    note.user.toString() !== user._id.toString()
+  ) {
+    sendError(res, 403, "Only the note owner or an admin can manage sharing");
+    return null;
+  }
+
+  return note;
+};
+
+/**
+ * Format share entries for API responses
+ */
+const formatShares = (note) =>
+  note.shares.map((share) => ({
+    user: {
+      id: share.user._id,
+      name: share.user.name,
+      email: share.user.email,
+    },
+    permission: share.permission,
+    grantedBy: share.grantedBy,
+    grantedAt: share.grantedAt,
+  }));
+
+/**
+ * Get users a note is shared with
+ * GET /notes/:id/shares
+ */
+const getNoteShares = async (req, res) => {
+  try {
+    const note = await findManageableNote(req, res);
+    if (!note) return;
+
+    sendResponse(res, 200, true, "Note shares retrieved successfully", {
+      noteId: note._id,
+      shares: formatShares(note),
+    });
+  } catch (error) {
+    console.error("Get note shares error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to retrieve note shares");
+  }
+};
+
+/**
+ * Share a note with a user of the same tenant, or change their permission
+ * POST /notes/:id/shares
+ */
+const shareNote = async (req, res) => {
+  try {
+    const { userId, email, permission = SHARE_PERMISSIONS.VIEWER } = req.body;
+    const user = req.user;
+
+    if (!userId && !email) {
+      return sendError(res, 400, "User ID or email is required");
+    }
+
+    if (!Object.values(SHARE_PERMISSIONS).includes(permission)) {
+      return sendError(res, 400, "Invalid share permission");
+    }
+
+    const note = await findManageableNote(req, res);
+    if (!note) return;
+
+    // Recipient must be an active user of the same tenant
+    const recipient = await User.findOne({
+      ...(userId ? { _id: userId } : { email: email.toLowerCase() }),
+      account: user.account._id,
+      isActive: true,
+      isDeleted: false,
+    });
+
+    if (!recipient) {
+      return sendError(res, 404, "User not found in this account");
+    }
+
+    if (note.user.toString() === recipient._id.toString()) {
+      return sendError(res, 400, "A note cannot be shared with its owner");
+    }
+
+    const existingShare = note.shares.find(
+      (share) => share.user._id.toString() === recipient._id.toString()
+    );
+
+    if (existingShare) {
+      existingShare.permission = permission;
+      existingShare.grantedBy = user._id;
+      existingShare.grantedAt = new Date();
+    } else {
+      note.shares.push({
+        user: recipient._id,
+        permission,
+        grantedBy: user._id,
+      });
+    }
+
+    await note.save();
+    await note.populate("shares.user", "name email");
+
+    sendResponse(
+      res,
+      existingShare ? 200 : 201,
+      true,
+      existingShare ? "Share permission updated" : "Note shared successfully",
+      {
+        noteId: note._id,
+        shares: formatShares(note),
+      }
+    );
+  } catch (error) {
+    console.error("Share note error:", error);
+    if (error.name === "VersionError") {
+      return sendError(res, 409, "Note was modified by another request");
+    }
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid ID format");
+    }
+    sendError(res, 500, "Failed to share note");
+  }
+};
+
+/**
+ * Revoke a user's access to a note
+ * DELETE /notes/:id/shares/:userId
+ */
+const unshareNote = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const note = await findManageableNote(req, res);
+    if (!note) return;
+
+    const shareCount = note.shares.length;
+    note.shares = note.shares.filter(
+      (share) => share.user._id.toString() !== userId
+    );
+
+    if (note.shares.length === shareCount) {
+      return sendError(res, 404, "Note is not shared with this user");
+    }
+
+    await note.save();
+
+    sendResponse(res, 200, true, "Note access revoked successfully", {
+      noteId: note._id,
+      shares: formatShares(note),
+    });
+  } catch (error) {
+    console.error("Unshare note error:", error);
+    if (error.name === "VersionError") {
+      return sendError(res, 409, "Note was modified by another request");
+    }
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to revoke note access");
+  }
+};
+
+/**
+ * Get notes other users shared with the current user
+ * GET /notes/shared-with-me
+ */
+const getSharedWithMe = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, permission } = req.query;
+    const user = req.user;
+
+    const shareMatch = { user: user._id };
+    if (permission) {
+      if (!Object.values(SHARE_PERMISSIONS).includes(permission)) {
+        return sendError(res, 400, "Invalid share permission");
+      }
+      shareMatch.permission = permission;
+    }
+
+    const query = {
+      account: user.account._id,
+      shares: { $elemMatch: shareMatch },
+      isDeleted: false,
+    };
+
+    // Calculate pagination
+    const pageSize = Math.min(parseInt(limit), 100);
+    const skip = (parseInt(page) - 1) * pageSize;
+    const total = await Note.countDocuments(query);
+    const totalPages = Math.ceil(total / pageSize);
+
+    const notes = await Note.find(query)
+      .populate("tags")
+      .populate("user", "name email")
+      .skip(skip)
+      .limit(pageSize)
+      .sort({ updatedAt: -1 });
+
+    // Format response
+    const formattedNotes = notes.map((note) => ({
+      id: note._id,
+      title: note.title,
+      description: note.description,
+      tags: note.tags.map((tag) => tag.tagName),
+      notebook: note.notebook,
+      author: {
+        id: note.user._id,
+        name: note.user.name,
+        email: note.user.email,
+      },
+      permission: note.getSharePermission(user._id),
+      createdAt: note.createdAt,
+      updatedAt: note.updatedAt,
+    }));
+
+    sendResponse(res, 200, true, "Shared notes retrieved successfully", {
+      notes: formattedNotes,
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: totalPages,
+      },
+    });
+  } catch (error) {
+    console.error("Get shared notes error:", error);
+    sendError(res, 500, "Failed to retrieve shared notes");
+  }
+};
+
+module.exports = {
+  getNoteShares,
+  shareNote,
+  unshareNote,
+  getSharedWithMe,
+};
@@ -0,0 +1,233 @@
+const Note = require("../models/Note");
+const { sendResponse, sendError } = require("../utils/helpers");
+const { ROLES, NOTE_EVENT_TYPES } = require("../utils/constants");
+const { publishNoteEvent } = require("../utils/noteEvents");
+const { sendNoteLimitExceeded } = require("../middleware/subscriptionLimit");
+const { findAccessibleNote } = require("../utils/noteAccess");
+
+/**
+ * Check whether user owns the note or is an admin
+ */
+const isOwnerOrAdmin = (user, note) =>
+  user.role.roleName === ROLES.ADMIN ||
+  note.user.toString() === user._id.toString();
+
+/**
+ * Format the state flags of a note for API responses
+ */
+const formatNoteState = (note, user) => ({
+  id: note._id,
+  title: note.title,
+  isPinned: note.isPinned,
+  isArchived: note.isArchived,
+  isFavorite: note.isFavoriteOf(user._id),
+  updatedAt: note.updatedAt,
+});
+
+/**
+ * Pin or unpin a note for the whole tenant (owner or admin)
+ */
+const setPinned = (isPinned) => async (req, res) => {
+  try {
+    const user = req.user;
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    if (!isOwnerOrAdmin(user, note)) {
+      return sendError(res, 403, "Only the note owner or an admin can pin it");
+    }
+
+    if (note.isPinned !== isPinned) {
+      note.isPinned = isPinned;
+      note.pinnedAt = isPinned ? new Date() : null;
+      note.pinnedBy = isPinned ? user._id : null;
+      await note.save();
+
+      await publishNoteEvent(NOTE_EVENT_TYPES.UPDATED, note, user);
+    }
+
+    sendResponse(
+      res,
+      200,
+      true,
+      isPinned ? "Note pinned successfully" : "Note unpinned successfully",
+      { note: formatNoteState(note, user) }
+    );
+  } catch (error) {
+    console.error("Pin note error:", error);
+    if (error.name === "VersionError") {
+      return sendError(res, 409, "Note was modified by another request");
+    }
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to update note");
+  }
+};
+
+/**
+ * Archive or unarchive a note (owner or admin)
+ * Depending on the account settings archived notes leave the note count
+ */
+const setArchived = (isArchived) => async (req, res) => {
+  try {
+    const user = req.user;
+    const account = req.account;
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    if (!isOwnerOrAdmin(user, note)) {
+      return sendError(
+        res,
+        403,
+        "Only the note owner or an admin can archive it"
+      );
+    }
+
+    if (note.isArchived !== isArchived) {
+      const wasCounted = account.countsTowardNoteLimit(note);
+
+      note.isArchived = isArchived;
+      const isCounted = account.countsTowardNoteLimit(note);
+
+      // Bringing an uncounted note back needs room in the plan
+      if (isCounted && !wasCounted && !(await account.claimNoteSlot())) {
+        return sendNoteLimitExceeded(res, account);
+      }
+
+      note.archivedAt = isArchived ? new Date() : null;
+      note.archivedBy = isArchived ? user._id : null;
+
+      try {
+        await note.save();
+      } catch (error) {
+        if (isCounted && !wasCounted) {
+          await account.releaseNoteSlots();
+        }
+        throw error;
+      }
+
+      if (wasCounted && !isCounted) {
+        await account.releaseNoteSlots();
+      }
+
+      await publishNoteEvent(NOTE_EVENT_TYPES.UPDATED, note, user);
+    }
+
+    sendResponse(
+      res,
+      200,
+      true,
+      isArchived
+        ? "Note archived successfully"
+        : "Note unarchived successfully",
+      { note: formatNoteState(note, user) }
+    );
+  } catch (error) {
+    console.error("Archive note error:", error);
+    if (error.name === "VersionError") {
+      return sendError(res, 409, "Note was modified by another request");
+    }
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to update note");
+  }
+};
+
+/**
+ * Add or remove a note from the current user's favorites
+ * Favorites are personal and do not change the note's version
+ */
+const setFavorite = (isFavorite) => async (req, res) => {
+  try {
+    const user = req.user;
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    const update = isFavorite
+      ? { $addToSet: { favoritedBy: user._id } }
+      : { $pull: { favoritedBy: user._id } };
+
+    await Note.updateOne({ _id: note._id }, update, { timestamps: false });
+
+    if (isFavorite && !note.isFavoriteOf(user._id)) {
+      note.favoritedBy.push(user._id);
+    } else if (!isFavorite) {
+      note.favoritedBy = note.favoritedBy.filter(
+        (id) => id.toString() !== user._id.toString()
+      );
+    }
+
+    sendResponse(
+      res,
+      200,
+      true,
+      isFavorite ? "Note added to favorites" : "Note removed from favorites",
+      { note: formatNoteState(note, user) }
+    );
+  } catch (error) {
+    console.error("Favorite note error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to update favorites");
+  }
+};
+
+/**
+ * Pin a note
+ * POST /notes/:id/pin
+ */
+const pinNote = setPinned(true);
+
+/**
+ * Unpin a note
+ * DELETE /notes/:id/pin
+ */
+const unpinNote = setPinned(false);
+
+/**
+ * Archive a note
+ * POST /notes/:id/archive
+ */
+const archiveNote = setArchived(true);
+
+/**
+ * Unarchive a note
+ * DELETE /notes/:id/archive
+ */
+const unarchiveNote = setArchived(false);
+
+/**
+ * Add a note to the current user's favorites
+ * POST /notes/:id/favorite
+ */
+const favoriteNote = setFavorite(true);
+
+/**
+ * Remove a note from the current user's favorites
+ * DELETE /notes/:id/favorite
+ */
+const unfavoriteNote = setFavorite(false);
+
+module.exports = {
+  pinNote,
+  unpinNote,
+  archiveNote,
+  unarchiveNote,
+  favoriteNote,
+  unfavoriteNote,
+};
@@ -0,0 +1,302 @@
+const Note = require("../models/Note");
+const Tag = require("../models/Tag");
+const NoteVersion = require("../models/NoteVersion");
+const { sendResponse, sendError } = require("../utils/helpers");
+const {
+  SHARE_PERMISSIONS,
+  NOTE_VERSIONED_FIELDS,
+  NOTE_EVENT_TYPES,
+} = require("../utils/constants");
+const { publishNoteEvent } = require("../utils/noteEvents");
+const { findAccessibleNote } = require("../utils/noteAccess");
+
+/**
+ * Format a revision for API responses
+ */
+const formatVersion = (version, includeContent = false) => {
+  const formatted = {
+    version: version.version,
+    changedFields: version.changedFields,
+    restoredFrom: version.restoredFrom,
+    author: version.author
+      ? {
+          id: version.author._id,
+          name: version.author.name,
+          email: version.author.email,
+        }
+      : null,
+    createdAt: version.createdAt,
+  };
+
+  if (includeContent) {
+    formatted.title = version.title;
+    formatted.description = version.description;
+    formatted.tags = version.tags;
+  }
+
+  return formatted;
+};
+
+/**
+ * Build a field-level diff between two revisions
+ */
+const diffVersions = (from, to) => {
+  const diff = {};
+
+  for (const field of NOTE_VERSIONED_FIELDS) {
+    if (field === "tags") {
+      const added = to.tags.filter((tag) => !from.tags.includes(tag));
+      const removed = from.tags.filter((tag) => !to.tags.includes(tag));
+
+      diff.tags = {
+        changed: added.length > 0 || removed.length > 0,
+        from: from.tags,
+        to: to.tags,
+        added,
+        removed,
+      };
+    } else {
+      diff[field] = {
+        changed: from[field] !== to[field],
+        from: from[field],
+        to: to[field],
+      };
+    }
+  }
+
+  return diff;
+};
+
+/**
+ * Get revision history of a note
+ * GET /notes/:id/versions
+ */
+const getNoteVersions = async (req, res) => {
+  try {
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    const versions = await NoteVersion.find({ note: note._id })
+      .populate("author", "name email")
+      .sort({ version: -1 });
+
+    sendResponse(res, 200, true, "Note versions retrieved successfully", {
+      noteId: note._id,
+      versions: versions.map((version) => formatVersion(version)),
+    });
+  } catch (error) {
+    console.error("Get note versions error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to retrieve note versions");
+  }
+};
+
+/**
+ * Get a specific revision of a note
+ * GET /notes/:id/versions/:version
+ */
+const getNoteVersion = async (req, res) => {
+  try {
+    const versionNumber = parseInt(req.params.version);
+
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return sendError(res, 400, "Invalid version number");
+    }
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    const version = await NoteVersion.findOne({
+      note: note._id,
+      version: versionNumber,
+    }).populate("author", "name email");
+
+    if (!version) {
+      return sendError(res, 404, "Version not found");
+    }
+
+    sendResponse(res, 200, true, "Note version retrieved successfully", {
+      noteId: note._id,
+      version: formatVersion(version, true),
+    });
+  } catch (error) {
+    console.error("Get note version error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to retrieve note version");
+  }
+};
+
+/**
+ * Compare two revisions of a note field by field
+ * GET /notes/:id/versions/diff?from=1&to=2
+ * "to" defaults to the latest revision
+ */
+const diffNoteVersions = async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : null;
+
+    if (!Number.isInteger(from) || from < 1) {
+      return sendError(res, 400, "A valid 'from' version is required");
+    }
+
+    if (to !== null && (!Number.isInteger(to) || to < 1)) {
+      return sendError(res, 400, "Invalid 'to' version");
+    }
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    const fromVersion = await NoteVersion.findOne({
+      note: note._id,
+      version: from,
+    });
+
+    const toVersion =
+      to !== null
+        ? await NoteVersion.findOne({ note: note._id, version: to })
+        : await NoteVersion.findOne({ note: note._id }).sort({ version: -1 });
+
+    if (!fromVersion || !toVersion) {
+      return sendError(res, 404, "Version not found");
+    }
+
+    sendResponse(res, 200, true, "Note versions compared successfully", {
+      noteId: note._id,
+      from: fromVersion.version,
+      to: toVersion.version,
+      diff: diffVersions(fromVersion, toVersion),
+    });
+  } catch (error) {
+    console.error("Diff note versions error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to compare note versions");
+  }
+};
+
+/**
+ * Restore a note to a previous revision
+ * POST /notes/:id/versions/:version/restore
+ */
+const restoreNoteVersion = async (req, res) => {
+  try {
+    const versionNumber = parseInt(req.params.version);
+    const user = req.user;
+
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return sendError(res, 400, "Invalid version number");
+    }
+
+    const note = await findAccessibleNote(req);
+
+    if (!note) {
+      return sendError(res, 404, "Note not found");
+    }
+
+    // Owner, admin or a user the note is shared with as editor
+    if (!note.hasPermission(user, SHARE_PERMISSIONS.EDITOR)) {
+      return sendError(
+        res,
+        403,
+        "You do not have permission to restore this note"
+      );
+    }
+
+    const version = await NoteVersion.findOne({
+      note: note._id,
+      version: versionNumber,
+    });
+
+    if (!version) {
+      return sendError(res, 404, "Version not found");
+    }
+
+    await NoteVersion.ensureBaseline(note, user.account.plan);
+
+    const previousTagIds = note.tags.map((tag) => tag.toString());
+    const previousTitle = note.title;
+
+    // Tags are re-created if they were removed since the revision was taken
+    let tagIds = [];
+    for (const tagName of version.tags) {
+      const tag = await Tag.findOrCreate(user.account._id, tagName);
+      tagIds.push(tag._id.toString());
+    }
+
+    note.title = version.title;
+    note.description = version.description;
+    note.tags = [...new Set(tagIds)];
+
+    const changedFields = note.getChangedVersionedFields(previousTagIds);
+
+    // Keep the wiki link index in step with the description
+    if (changedFields.includes("description")) {
+      await note.refreshLinks();
+    }
+
+    await note.save();
+    await note.populate("tags");
+
+    if (changedFields.includes("title")) {
+      await Note.retitleLinks(note, previousTitle);
+    }
+
+    // Restoring is itself recorded so history stays linear
+    const revision = await NoteVersion.record(note, {
+      author: user._id,
+      plan: user.account.plan,
+      changedFields,
+      restoredFrom: version.version,
+    });
+
+    await publishNoteEvent(NOTE_EVENT_TYPES.UPDATED, note, user);
+
+    sendResponse(res, 200, true, "Note restored successfully", {
+      note: {
+        id: note._id,
+        title: note.title,
+        description: note.description,
+        tags: note.tags.map((tag) => tag.tagName),
+        createdAt: note.createdAt,
+        updatedAt: note.updatedAt,
+      },
+      version: revision.version,
+      restoredFrom: version.version,
+    });
+  } catch (error) {
+    console.error("Restore note version error:", error);
+    if (error.name === "VersionError") {
+      return sendError(
+        res,
+        409,
+        "Note was modified by someone else while restoring, please retry"
+      );
+    }
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to restore note version");
+  }
+};
+
+module.exports = {
+  getNoteVersions,
+  getNoteVersion,
+  diffNoteVersions,
+  restoreNoteVersion,
+};
@@ -0,0 +1,408 @@
+const Notebook = require("../models/Notebook");
+const Note = require("../models/Note");
+const PublicLink = require("../models/PublicLink");
+const { sendResponse, sendError } = require("../utils/helpers");
+const {
+  ROLES,
+  NOTEBOOK_DELETE_MODES,
+  NOTE_EVENT_TYPES,
+} = require("../utils/constants");
+const { publishNoteEvent } = require("../utils/noteEvents");
+
+/**
+ * Format a notebook for API responses
+ */
+const formatNotebook = (notebook, noteCount = 0) => ({
+  id: notebook._id,
+  name: notebook.name,
+  parent: notebook.parent,
+  noteCount,
+  createdBy: notebook.createdBy,
+  createdAt: notebook.createdAt,
+  updatedAt: notebook.updatedAt,
+});
+
+/**
+ * Check whether user can modify a notebook (creator or admin)
+ */
+const canManageNotebook = (user, notebook) => {
+  return (
+    user.role.roleName === ROLES.ADMIN ||
+    notebook.createdBy.toString() === user._id.toString()
+  );
+};
+
+/**
+ * Count non-deleted notes per notebook
+ */
+const countNotesByNotebook = async (account, notebookIds) => {
+  const counts = await Note.aggregate([
+    {
+      $match: {
+        account,
+        notebook: { $in: notebookIds },
+        isDeleted: false,
+      },
+    },
+    { $group: { _id: "$notebook", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map((entry) => [entry._id.toString(), entry.count]));
+};
+
+/**
+ * Create a notebook
+ * POST /notebooks
+ */
+const createNotebook = async (req, res) => {
+  try {
+    const { name, parent = null } = req.body;
+    const user = req.user;
+    const account = req.account;
+
+    if (!name || !name.trim()) {
+      return sendError(res, 400, "Notebook name is required");
+    }
+
+    if (parent) {
+      const parentNotebook = await Notebook.findOne({
+        _id: parent,
+        account: account._id,
+      });
+
+      if (!parentNotebook) {
+        return sendError(res, 404, "Parent notebook not found");
+      }
+    }
+
+    const notebook = new Notebook({
+      account: account._id,
+      name: name.trim(),
+      parent: parent || null,
+      createdBy: user._id,
+    });
+
+    await notebook.save();
+
+    sendResponse(res, 201, true, "Notebook created successfully", {
+      notebook: formatNotebook(notebook),
+    });
+  } catch (error) {
+    console.error("Create notebook error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid notebook ID");
+    }
+    sendError(res, 500, "Failed to create notebook");
+  }
+};
+
+/**
+ * Get notebooks for the tenant
+ * GET /notebooks
+ * ?parent=<id>|root limits the list to direct children
+ * ?tree=true nests notebooks under their parents
+ */
+const getNotebooks = async (req, res) => {
+  try {
+    const { parent, tree } = req.query;
+    const account = req.account;
+
+    const query = { account: account._id };
+
+    if (parent !== undefined) {
+      query.parent = parent === "root" ? null : parent;
+    }
+
+    const notebooks = await Notebook.find(query).sort({ name: 1 });
+    const counts = await countNotesByNotebook(
+      account._id,
+      notebooks.map((notebook) => notebook._id)
+    );
+
+    const formattedNotebooks = notebooks.map((notebook) =>
+      formatNotebook(notebook, counts.get(notebook._id.toString()) || 0)
+    );
+
+    if (tree !== "true") {
+      return sendResponse(res, 200, true, "Notebooks retrieved successfully", {
+        notebooks: formattedNotebooks,
+      });
+    }
+
+    // Nest notebooks under their parents
+    const byId = new Map(
+      formattedNotebooks.map((notebook) => [
+        notebook.id.toString(),
+        { ...notebook, children: [] },
+      ])
+    );
+    const roots = [];
+
+    for (const notebook of byId.values()) {
+      const parentNode =
+        notebook.parent && byId.get(notebook.parent.toString());
+      if (parentNode) {
+        parentNode.children.push(notebook);
+      } else {
+        roots.push(notebook);
+      }
+    }
+
+    sendResponse(res, 200, true, "Notebooks retrieved successfully", {
+      notebooks: roots,
+    });
+  } catch (error) {
+    console.error("Get notebooks error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid notebook ID");
+    }
+    sendError(res, 500, "Failed to retrieve notebooks");
+  }
+};
+
+/**
+ * Get specific notebook by ID
+ * GET /notebooks/:id
+ */
+const getNotebookById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const account = req.account;
+
+    const notebook = await Notebook.findOne({ _id: id, account: account._id });
+
+    if (!notebook) {
+      return sendError(res, 404, "Notebook not found");
+    }
+
+    const children = await Notebook.find({
+      account: account._id,
+      parent: notebook._id,
+    }).sort({ name: 1 });
+
+    const counts = await countNotesByNotebook(account._id, [
+      notebook._id,
+      ...children.map((child) => child._id),
+    ]);
+
+    sendResponse(res, 200, true, "Notebook retrieved successfully", {
+      notebook: {
+        ...formatNotebook(notebook, counts.get(notebook._id.toString()) || 0),
+        children: children.map((child) =>
+          formatNotebook(child, counts.get(child._id.toString()) || 0)
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Get notebook by ID error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid notebook ID");
+    }
+    sendError(res, 500, "Failed to retrieve notebook");
+  }
+};
+
+/**
+ * Rename or move a notebook
+ * PUT /notebooks/:id
+ */
+const updateNotebook = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, parent } = req.body;
+    const user = req.user;
+    const account = req.account;
+
+    const notebook = await Notebook.findOne({ _id: id, account: account._id });
+
+    if (!notebook) {
+      return sendError(res, 404, "Notebook not found");
+    }
+
+    if (!canManageNotebook(user, notebook)) {
+      return sendError(res, 403, "You can only update your own notebooks");
+    }
+
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return sendError(res, 400, "Notebook name is required");
+      }
+      notebook.name = name.trim();
+    }
+
+    if (parent !== undefined) {
+      if (parent) {
+        if (parent.toString() === notebook._id.toString()) {
+          return sendError(res, 400, "A notebook cannot be its own parent");
+        }
+
+        const parentNotebook = await Notebook.findOne({
+          _id: parent,
+          account: account._id,
+        });
+
+        if (!parentNotebook) {
+          return sendError(res, 404, "Parent notebook not found");
+        }
+
+        // Prevent cycles by refusing to move a notebook below its own children
+        const descendantIds = await Notebook.getDescendantIds(
+          account._id,
+          notebook._id
+        );
+
+        if (descendantIds.some((descendantId) => descendantId.equals(parent))) {
+          return sendError(
+            res,
+            400,
+            "A notebook cannot be moved into one of its own sub-notebooks"
+          );
+        }
+      }
+
+      notebook.parent = parent || null;
+    }
+
+    await notebook.save();
+
+    sendResponse(res, 200, true, "Notebook updated successfully", {
+      notebook: formatNotebook(notebook),
+    });
+  } catch (error) {
+    console.error("Update notebook error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid notebook ID");
+    }
+    sendError(res, 500, "Failed to update notebook");
+  }
+};
+
+/**
+ * Delete a notebook
+ * DELETE /notebooks/:id?mode=move|trash
+ * move: sub-notebooks and notes move up to the parent notebook
+ * trash: sub-notebooks are deleted and all their notes are moved to trash
+ */
+const deleteNotebook = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { mode = NOTEBOOK_DELETE_MODES.MOVE } = req.query;
+    const user = req.user;
+    const account = req.account;
+
+    if (!Object.values(NOTEBOOK_DELETE_MODES).includes(mode)) {
+      return sendError(res, 400, "Invalid delete mode");
+    }
+
+    const notebook = await Notebook.findOne({ _id: id, account: account._id });
+
+    if (!notebook) {
+      return sendError(res, 404, "Notebook not found");
+    }
+
+    if (!canManageNotebook(user, notebook)) {
+      return sendError(res, 403, "You can only delete your own notebooks");
+    }
+
+    if (mode === NOTEBOOK_DELETE_MODES.MOVE) {
+      await Notebook.updateMany(
+        { account: account._id, parent: notebook._id },
+        { parent: notebook.parent }
+      );
+      const moved = await Note.updateMany(
+        { account: account._id, notebook: notebook._id },
+        { notebook: notebook.parent }
+      );
+
+      await notebook.deleteOne();
+
+      return sendResponse(res, 200, true, "Notebook deleted successfully", {
+        mode,
+        movedNotes: moved.modifiedCount,
+        movedTo: notebook.parent,
+      });
+    }
+
+    // Cascade: trash every note in the notebook and its sub-notebooks
+    const notebookIds = [
+      notebook._id,
+      ...(await Notebook.getDescendantIds(account._id, notebook._id)),
+    ];
+
+    const noteQuery = {
+      account: account._id,
+      notebook: { $in: notebookIds },
+      isDeleted: false,
+    };
+
+    // Members may only trash their own notes
+    if (user.role.roleName !== ROLES.ADMIN) {
+      const foreignNotes = await Note.countDocuments({
+        ...noteQuery,
+        user: { $ne: user._id },
+      });
+
+      if (foreignNotes > 0) {
+        return sendError(
+          res,
+          403,
+          "Notebook contains notes of other users - only an admin can trash them"
+        );
+      }
+    }
+
+    const trashedNotes = await Note.find(noteQuery);
+    const trashedNoteIds = trashedNotes.map((note) => note._id);
+
+    const trashed = await Note.updateMany(noteQuery, {
+      isDeleted: true,
+      deletedAt: new Date(),
+      deletedBy: user._id,
+      notebook: null,
+    });
+
+    // Notes already in the trash lose their notebook as well
+    await Note.updateMany(
+      { account: account._id, notebook: { $in: notebookIds } },
+      { notebook: null }
+    );
+
+    await Notebook.deleteMany({ _id: { $in: notebookIds } });
+
+    // Public links die with the notes
+    await PublicLink.revokeForNotes(trashedNoteIds);
+
+    // Wiki links to the notes stop resolving
+    await Note.setLinksBroken(trashedNoteIds, true);
+
+    // Trashed notes no longer count against the plan
+    const releasedNoteCount = trashedNotes.filter((note) =>
+      account.countsTowardNoteLimit(note)
+    ).length;
+    await account.releaseNoteSlots(releasedNoteCount);
+
+    for (const note of trashedNotes) {
+      await publishNoteEvent(NOTE_EVENT_TYPES.DELETED, note, user);
+    }
+
+    sendResponse(res, 200, true, "Notebook deleted successfully", {
+      mode,
+      deletedNotebooks: notebookIds.length,
+      trashedNotes: trashed.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Delete notebook error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid notebook ID");
+    }
+    sendError(res, 500, "Failed to delete notebook");
+  }
+};
+
+module.exports = {
+  createNotebook,
+  getNotebooks,
+  getNotebookById,
+  updateNotebook,
+  deleteNotebook,
+};
@@ -0,0 +1,126 @@
+const Notification = require("../models/Notification");
+const { sendResponse, sendError } = require("../utils/helpers");
+
+/**
+ * Get notifications of the current user
+ * GET /notifications?unread=true
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const user = req.user;
+
+    const query = { user: user._id };
+    if (unread === "true") {
+      query.isRead = false;
+    }
+
+    // Calculate pagination
+    const pageSize = Math.min(parseInt(limit), 100);
+    const skip = (parseInt(page) - 1) * pageSize;
+    const total = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countDocuments({
+      user: user._id,
+      isRead: false,
+    });
+
+    const notifications = await Notification.find(query)
+      .populate("actor", "name email")
+      .skip(skip)
+      .limit(pageSize)
+      .sort({ createdAt: -1 });
+
+    // Format response
+    const formattedNotifications = notifications.map((notification) => ({
+      id: notification._id,
+      type: notification.type,
+      message: notification.message,
+      actor: notification.actor
+        ? {
+            id: notification.actor._id,
+            name: notification.actor.name,
+            email: notification.actor.email,
+          }
+        : null,
+      note: notification.note,
+      comment: notification.comment,
+      isRead: notification.isRead,
+      readAt: notification.readAt,
+      createdAt: notification.createdAt,
+    }));
+
+    sendResponse(res, 200, true, "Notifications retrieved successfully", {
+      notifications: formattedNotifications,
+      unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    sendError(res, 500, "Failed to retrieve notifications");
+  }
+};
+
+/**
+ * Mark a notification as read
+ * POST /notifications/:id/read
+ */
+const markNotificationRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+
+    const notification = await Notification.findOne({
+      _id: id,
+      user: user._id,
+    });
+
+    if (!notification) {
+      return sendError(res, 404, "Notification not found");
+    }
+
+    if (!notification.isRead) {
+      await notification.markAsRead();
+    }
+
+    sendResponse(res, 200, true, "Notification marked as read");
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid notification ID");
+    }
+    sendError(res, 500, "Failed to update notification");
+  }
+};
+
+/**
+ * Mark all notifications of the current user as read
+ * POST /notifications/read-all
+ */
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const user = req.user;
+
+    const result = await Notification.updateMany(
+      { user: user._id, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    sendResponse(res, 200, true, "Notifications marked as read", {
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Mark all notifications read error:", error);
+    sendError(res, 500, "Failed to update notifications");
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
@@ -0,0 +1,316 @@
+const Note = require("../models/Note");
+const PublicLink = require("../models/PublicLink");
+const {
+  sendResponse,
+  sendError,
+  generateSecureToken,
+  hashToken,
+  buildApiUrl,
+  hashPassword,
+  comparePassword,
+  escapeHtml,
+} = require("../utils/helpers");
+const { ROLES } = require("../utils/constants");
+
+/**
+ * Format a public link for API responses
+ */
+const formatLink = (link) => ({
+  id: link._id,
+  isActive: link.isActive,
+  passwordProtected: !!link.passwordHash,
+  expiresAt: link.expiresAt,
+  viewCount: link.viewCount,
+  lastViewedAt: link.lastViewedAt,
+  revokedAt: link.revokedAt,
+  createdBy: link.createdBy,
+  createdAt: link.createdAt,
+});
+
+/**
+ * Find a note the current user can publish (owner or admin)
+ */
+const findPublishableNote = async (req, res) => {
+  const user = req.user;
+
+  const note = await Note.findOne({
+    _id: req.params.id,
+    account: user.account._id,
+    isDeleted: false,
+  });
+
+  if (!note) {
+    sendError(res, 404, "Note not found");
+    return null;
+  }
+
+  if (
+    user.role.roleName !== ROLES.ADMIN &&
+    note.user.toString() !== user._id.toString()
+  ) {
+    sendError(
+      res,
+      403,
+      "Only the note owner or an admin can manage public links"
+    );
+    return null;
+  }
+
+  return note;
+};
+
+/**
+ * Render a public note as an HTML fragment around its sanitized body
+ */
+const renderNoteHtml = (note, bodyHtml) => {
+  const tags = note.tags
+    .map((tag) => `<li>${escapeHtml(tag.tagName)}</li>`)
+    .join("");
+
+  return `<article>
+<h1>${escapeHtml(note.title)}</h1>
+${bodyHtml}
+${tags ? `<ul class="tags">${tags}</ul>` : ""}
+</article>`;
+};
+
+/**
+ * Render a public note as a standalone HTML page
+ */
+const renderNotePage = (note, bodyHtml) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(note.title)}</title>
+</head>
+<body>
+${renderNoteHtml(note, bodyHtml)}
+<footer>Last updated ${escapeHtml(note.updatedAt.toISOString())}</footer>
+</body>
+</html>`;
+
+/**
+ * Create a public read-only link for a note
+ * POST /notes/:id/public-link
+ */
+const createPublicLink = async (req, res) => {
+  try {
+    const { expiresAt, password } = req.body;
+    const user = req.user;
+    const account = req.account;
+
+    if (!account.settings.publicLinksEnabled) {
+      return sendError(res, 403, "Public links are disabled for this account");
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return sendError(res, 400, "Expiry date must be a future date");
+      }
+    }
+
+    if (password !== undefined && password !== null) {
+      if (typeof password !== "string" || password.length < 8) {
+        return sendError(
+          res,
+          400,
+          "Password must be at least 8 characters long"
+        );
+      }
+    }
+
+    const note = await findPublishableNote(req, res);
+    if (!note) return;
+
+    const token = generateSecureToken();
+    const url = buildApiUrl(`/public/notes/${token}`);
+
+    const link = await PublicLink.create({
+      account: account._id,
+      note: note._id,
+      tokenHash: hashToken(token),
+      createdBy: user._id,
+      expiresAt: expiry,
+      passwordHash: password ? await hashPassword(password) : null,
+    });
+
+    // The token is only ever returned here
+    sendResponse(res, 201, true, "Public link created successfully", {
+      token,
+      url,
+      link: formatLink(link),
+    });
+  } catch (error) {
+    console.error("Create public link error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to create public link");
+  }
+};
+
+/**
+ * Get public links of a note
+ * GET /notes/:id/public-links
+ */
+const getPublicLinks = async (req, res) => {
+  try {
+    const note = await findPublishableNote(req, res);
+    if (!note) return;
+
+    const links = await PublicLink.find({ note: note._id }).sort({
+      createdAt: -1,
+    });
+
+    sendResponse(res, 200, true, "Public links retrieved successfully", {
+      noteId: note._id,
+      links: links.map(formatLink),
+    });
+  } catch (error) {
+    console.error("Get public links error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to retrieve public links");
+  }
+};
+
+/**
+ * Revoke a public link
+ * DELETE /notes/:id/public-link/:linkId
+ */
+const revokePublicLink = async (req, res) => {
+  try {
+    const { linkId } = req.params;
+
+    const note = await findPublishableNote(req, res);
+    if (!note) return;
+
+    const link = await PublicLink.findOne({ _id: linkId, note: note._id });
+
+    if (!link) {
+      return sendError(res, 404, "Public link not found");
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    sendResponse(res, 200, true, "Public link revoked successfully", {
+      link: formatLink(link),
+    });
+  } catch (error) {
+    console.error("Revoke public link error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid ID format");
+    }
+    sendError(res, 500, "Failed to revoke public link");
+  }
+};
+
+/**
+ * View a note through its public link (no authentication)
+ * GET /public/notes/:token
+ * POST /public/notes/:token (password in body, for HTML forms)
+ * ?format=html or an Accept: text/html header returns a rendered page
+ */
+const viewPublicNote = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const password =
+      req.get("X-Share-Password") || (req.body && req.body.password);
+
+    const link = await PublicLink.findOne({
+      tokenHash: hashToken(token),
+    }).populate("account");
+
+    // Revoked, expired, trashed, suspended and disabled all look the same
+    if (
+      !link ||
+      !link.isActive ||
+      !link.account ||
+      !link.account.isActive ||
+      link.account.isDeleted ||
+      !link.account.settings.publicLinksEnabled
+    ) {
+      return sendError(res, 404, "Link not found or no longer available");
+    }
+
+    const note = await Note.findOne({
+      _id: link.note,
+      account: link.account._id,
+      isDeleted: false,
+    })
+      .select("+renderedHtml")
+      .populate("tags")
+      .populate("user", "name");
+
+    if (!note) {
+      return sendError(res, 404, "Link not found or no longer available");
+    }
+
+    if (link.passwordHash) {
+      if (!password) {
+        return sendError(res, 401, "Password required", {
+          passwordRequired: true,
+        });
+      }
+
+      const isValidPassword = await comparePassword(
+        password,
+        link.passwordHash
+      );
+      if (!isValidPassword) {
+        return sendError(res, 401, "Invalid password", {
+          passwordRequired: true,
+        });
+      }
+    }
+
+    await PublicLink.updateOne(
+      { _id: link._id },
+      { $inc: { viewCount: 1 }, lastViewedAt: new Date() }
+    );
+
+    res.set("Cache-Control", "no-store");
+    res.set("X-Robots-Tag", "noindex");
+
+    const wantsHtml =
+      req.query.format === "html" ||
+      (req.query.format !== "json" && req.accepts(["json", "html"]) === "html");
+
+    const bodyHtml = note.getRenderedHtml();
+
+    if (wantsHtml) {
+      return res.type("html").send(renderNotePage(note, bodyHtml));
+    }
+
+    sendResponse(res, 200, true, "Note retrieved successfully", {
+      note: {
+        title: note.title,
+        description: note.description,
+        format: note.format,
+        tags: note.tags.map((tag) => tag.tagName),
+        author: note.user ? note.user.name : null,
+        createdAt: note.createdAt,
+        updatedAt: note.updatedAt,
+      },
+      html: renderNoteHtml(note, bodyHtml),
+    });
+  } catch (error) {
+    console.error("View public note error:", error);
+    sendError(res, 500, "Failed to retrieve note");
+  }
+};
+
+module.exports = {
+  createPublicLink,
+  getPublicLinks,
+  revokePublicLink,
+  viewPublicNote,
+};
@@ -12,7 +12,11 @@ const {
   sendError,
   generateRandomString,
 } = require("../utils/helpers");
-const { SUBSCRIPTION_PLANS, PAYMENT_STATUS } = require("../utils/constants");
+const {
+  SUBSCRIPTION_PLANS,
+  SUBSCRIPTION_LIMITS,
+  PAYMENT_STATUS,
+} = require("../utils/constants");
 
 /**
  * Get current subscription details
@@ -41,6 +45,7 @@ const getSubscription = async (req, res) => {
           noteCount: account.noteCount,
           limit: account.limit,
           canCreateNote: account.canCreateNote,
+          storageUsed: account.storageUsed,
         },
         subscription: subscription
           ? {
@@ -343,9 +348,7 @@ const getSubscriptionPlans = async (req, res) => {
         currency: "INR",
         interval: "month",
         features: ["Up to 3 notes", "Basic note management", "Tag support"],
-        limits: {
-          maxNotes: 3,
-        },
+        limits: SUBSCRIPTION_LIMITS[SUBSCRIPTION_PLANS.FREE],
       },
       {
         id: SUBSCRIPTION_PLANS.PRO,
@@ -358,11 +361,10 @@ const getSubscriptionPlans = async (req, res) => {
           "Advanced note management",
           "Tag support",
           "Search functionality",
+          "Extended note version history",
           "Priority support",
         ],
-        limits: {
-          maxNotes: -1, // unlimited
-        },
+        limits: SUBSCRIPTION_LIMITS[SUBSCRIPTION_PLANS.PRO],
       },
     ];
 
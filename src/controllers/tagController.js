@@ -0,0 +1,255 @@
+const Tag = require("../models/Tag");
+const Note = require("../models/Note");
+const { sendResponse, sendError } = require("../utils/helpers");
+
+/**
+ * Escape user input for use inside a regular expression
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Count non-deleted notes per tag for an account
+ */
+const countNotesByTag = async (account, tagIds) => {
+  const counts = await Note.aggregate([
+    { $match: { account, tags: { $in: tagIds }, isDeleted: false } },
+    { $unwind: "$tags" },
+    { $match: { tags: { $in: tagIds } } },
+    { $group: { _id: "$tags", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map((entry) => [entry._id.toString(), entry.count]));
+};
+
+/**
+ * Get all tags of the tenant with note counts
+ * GET /tags?sort=name|count
+ */
+const getTags = async (req, res) => {
+  try {
+    const { sort = "name" } = req.query;
+    const account = req.account;
+
+    const tags = await Tag.find({ account: account._id }).sort({ tagName: 1 });
+    const counts = await countNotesByTag(
+      account._id,
+      tags.map((tag) => tag._id)
+    );
+
+    const formattedTags = tags.map((tag) => ({
+      id: tag._id,
+      tagName: tag.tagName,
+      noteCount: counts.get(tag._id.toString()) || 0,
+      createdAt: tag.createdAt,
+      updatedAt: tag.updatedAt,
+    }));
+
+    if (sort === "count") {
+      formattedTags.sort((a, b) => b.noteCount - a.noteCount);
+    }
+
+    sendResponse(res, 200, true, "Tags retrieved successfully", {
+      tags: formattedTags,
+    });
+  } catch (error) {
+    console.error("Get tags error:", error);
+    sendError(res, 500, "Failed to retrieve tags");
+  }
+};
+
+/**
+ * Suggest tags starting with a prefix
+ * GET /tags/autocomplete?q=prefix
+ */
+const autocompleteTags = async (req, res) => {
+  try {
+    const { q = "", limit = 10 } = req.query;
+    const account = req.account;
+
+    if (typeof q !== "string") {
+      return sendError(res, 400, "Query must be a string");
+    }
+
+    const prefix = q.toLowerCase().trim();
+    const pageSize = Math.min(parseInt(limit) || 10, 50);
+
+    const tags = await Tag.find({
+      account: account._id,
+      tagName: { $regex: `^${escapeRegex(prefix)}` },
+    })
+      .sort({ tagName: 1 })
+      .limit(pageSize);
+
+    sendResponse(res, 200, true, "Tag suggestions retrieved successfully", {
+      tags: tags.map((tag) => ({ id: tag._id, tagName: tag.tagName })),
+    });
+  } catch (error) {
+    console.error("Autocomplete tags error:", error);
+    sendError(res, 500, "Failed to retrieve tag suggestions");
+  }
+};
+
+/**
+ * Rename a tag (Admin only)
+ * PUT /tags/:id
+ */
+const renameTag = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tagName } = req.body;
+    const account = req.account;
+
+    if (!tagName || typeof tagName !== "string" || !tagName.trim()) {
+      return sendError(res, 400, "Tag name is required");
+    }
+
+    const normalizedTagName = tagName.toLowerCase().trim();
+
+    if (normalizedTagName.length > 50) {
+      return sendError(res, 400, "Tag must not exceed 50 characters");
+    }
+
+    const tag = await Tag.findOne({ _id: id, account: account._id });
+
+    if (!tag) {
+      return sendError(res, 404, "Tag not found");
+    }
+
+    // Tag names are unique per account
+    const conflictingTag = await Tag.findOne({
+      account: account._id,
+      tagName: normalizedTagName,
+      _id: { $ne: tag._id },
+    });
+
+    if (conflictingTag) {
+      return sendError(
+        res,
+        409,
+        "A tag with this name already exists - merge the tags instead",
+        { existingTagId: conflictingTag._id }
+      );
+    }
+
+    tag.tagName = normalizedTagName;
+    await tag.save();
+
+    // Notes show the new name, so their ETags must change as well
+    await Note.updateMany(
+      { account: account._id, tags: tag._id },
+      { $inc: { __v: 1 } },
+      { timestamps: false }
+    );
+
+    sendResponse(res, 200, true, "Tag renamed successfully", {
+      tag: { id: tag._id, tagName: tag.tagName },
+    });
+  } catch (error) {
+    console.error("Rename tag error:", error);
+    if (error.code === 11000) {
+      return sendError(
+        res,
+        409,
+        "A tag with this name already exists - merge the tags instead"
+      );
+    }
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid tag ID");
+    }
+    sendError(res, 500, "Failed to rename tag");
+  }
+};
+
+/**
+ * Merge a tag into another tag (Admin only)
+ * POST /tags/:id/merge
+ * Notes tagged with the source tag get the target tag instead
+ */
+const mergeTags = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { targetTagId } = req.body;
+    const account = req.account;
+
+    if (!targetTagId) {
+      return sendError(res, 400, "Target tag ID is required");
+    }
+
+    if (targetTagId.toString() === id) {
+      return sendError(res, 400, "A tag cannot be merged into itself");
+    }
+
+    const sourceTag = await Tag.findOne({ _id: id, account: account._id });
+    const targetTag = await Tag.findOne({
+      _id: targetTagId,
+      account: account._id,
+    });
+
+    if (!sourceTag || !targetTag) {
+      return sendError(res, 404, "Tag not found");
+    }
+
+    const noteFilter = { account: account._id, tags: sourceTag._id };
+
+    await Note.updateMany(noteFilter, { $addToSet: { tags: targetTag._id } });
+    const result = await Note.updateMany(noteFilter, {
+      $pull: { tags: sourceTag._id },
+    });
+
+    await sourceTag.deleteOne();
+
+    sendResponse(res, 200, true, "Tags merged successfully", {
+      tag: { id: targetTag._id, tagName: targetTag.tagName },
+      mergedTag: { id: sourceTag._id, tagName: sourceTag.tagName },
+      updatedNotes: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Merge tags error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid tag ID");
+    }
+    sendError(res, 500, "Failed to merge tags");
+  }
+};
+
+/**
+ * Delete a tag and detach it from all notes (Admin only)
+ * DELETE /tags/:id
+ */
+const deleteTag = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const account = req.account;
+
+    const tag = await Tag.findOne({ _id: id, account: account._id });
+
+    if (!tag) {
+      return sendError(res, 404, "Tag not found");
+    }
+
+    const result = await Note.updateMany(
+      { account: account._id, tags: tag._id },
+      { $pull: { tags: tag._id } }
+    );
+
+    await tag.deleteOne();
+
+    sendResponse(res, 200, true, "Tag deleted successfully", {
+      updatedNotes: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Delete tag error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid tag ID");
+    }
+    sendError(res, 500, "Failed to delete tag");
+  }
+};
+
+module.exports = {
+  getTags,
+  autocompleteTags,
+  renameTag,
+  mergeTags,
+  deleteTag,
+};
@@ -0,0 +1,193 @@
+const NoteTemplate = require("../models/NoteTemplate");
+const { sendResponse, sendError } = require("../utils/helpers");
+const { getTemplateVariables } = require("../utils/templates");
+
+/**
+ * Format a template for API responses
+ */
+const formatTemplate = (template) => ({
+  id: template._id,
+  name: template.name,
+  title: template.title,
+  description: template.description,
+  format: template.format,
+  tags: template.tags,
+  variables: getTemplateVariables(template),
+  createdBy: template.createdBy,
+  updatedBy: template.updatedBy,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt,
+});
+
+/**
+ * Normalize template tags the same way note tags are stored
+ */
+const normalizeTags = (tags) => [
+  ...new Set(tags.map((tagName) => tagName.toLowerCase().trim())),
+];
+
+/**
+ * Create a note template
+ * POST /templates
+ */
+const createTemplate = async (req, res) => {
+  try {
+    const { name, title, description = "", format, tags = [] } = req.body;
+    const user = req.user;
+    const account = req.account;
+
+    const template = new NoteTemplate({
+      account: account._id,
+      name: name.trim(),
+      title: title.trim(),
+      description: description.trim(),
+      format,
+      tags: normalizeTags(tags),
+      createdBy: user._id,
+    });
+
+    await template.save();
+
+    sendResponse(res, 201, true, "Template created successfully", {
+      template: formatTemplate(template),
+    });
+  } catch (error) {
+    console.error("Create template error:", error);
+    if (error.code === 11000) {
+      return sendError(res, 409, "A template with this name already exists");
+    }
+    sendError(res, 500, "Failed to create template");
+  }
+};
+
+/**
+ * Get templates for the tenant
+ * GET /templates
+ */
+const getTemplates = async (req, res) => {
+  try {
+    const account = req.account;
+
+    const templates = await NoteTemplate.find({ account: account._id }).sort({
+      name: 1,
+    });
+
+    sendResponse(res, 200, true, "Templates retrieved successfully", {
+      templates: templates.map(formatTemplate),
+    });
+  } catch (error) {
+    console.error("Get templates error:", error);
+    sendError(res, 500, "Failed to retrieve templates");
+  }
+};
+
+/**
+ * Get specific template by ID
+ * GET /templates/:id
+ */
+const getTemplateById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const account = req.account;
+
+    const template = await NoteTemplate.findOne({
+      _id: id,
+      account: account._id,
+    });
+
+    if (!template) {
+      return sendError(res, 404, "Template not found");
+    }
+
+    sendResponse(res, 200, true, "Template retrieved successfully", {
+      template: formatTemplate(template),
+    });
+  } catch (error) {
+    console.error("Get template by ID error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid template ID");
+    }
+    sendError(res, 500, "Failed to retrieve template");
+  }
+};
+
+/**
+ * Update a template
+ * PUT /templates/:id
+ */
+const updateTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, title, description, format, tags } = req.body;
+    const user = req.user;
+    const account = req.account;
+
+    const template = await NoteTemplate.findOne({
+      _id: id,
+      account: account._id,
+    });
+
+    if (!template) {
+      return sendError(res, 404, "Template not found");
+    }
+
+    if (name !== undefined) template.name = name.trim();
+    if (title !== undefined) template.title = title.trim();
+    if (description !== undefined) template.description = description.trim();
+    if (format !== undefined) template.format = format;
+    if (tags !== undefined) template.tags = normalizeTags(tags);
+    template.updatedBy = user._id;
+
+    await template.save();
+
+    sendResponse(res, 200, true, "Template updated successfully", {
+      template: formatTemplate(template),
+    });
+  } catch (error) {
+    console.error("Update template error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid template ID");
+    }
+    if (error.code === 11000) {
+      return sendError(res, 409, "A template with this name already exists");
+    }
+    sendError(res, 500, "Failed to update template");
+  }
+};
+
+/**
+ * Delete a template
+ * DELETE /templates/:id
+ * Notes created from the template are not affected
+ */
+const deleteTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const account = req.account;
+
+    const template = await NoteTemplate.findOneAndDelete({
+      _id: id,
+      account: account._id,
+    });
+
+    if (!template) {
+      return sendError(res, 404, "Template not found");
+    }
+
+    sendResponse(res, 200, true, "Template deleted successfully");
+  } catch (error) {
+    console.error("Delete template error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid template ID");
+    }
+    sendError(res, 500, "Failed to delete template");
+  }
+};
+
+module.exports = {
+  createTemplate,
+  getTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+};
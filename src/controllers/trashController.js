@@ -0,0 +1,198 @@
+const Note = require("../models/Note");
+const { sendResponse, sendError } = require("../utils/helpers");
+const { ROLES, NOTE_EVENT_TYPES } = require("../utils/constants");
+const { publishNoteEvent } = require("../utils/noteEvents");
+const { sendNoteLimitExceeded } = require("../middleware/subscriptionLimit");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get trashed notes
+ * GET /notes/trash
+ */
+const getTrash = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const account = req.account;
+    const tenantFilter = req.tenantFilter || {};
+    const retentionDays = account.settings.trashRetentionDays;
+
+    const query = {
+      ...tenantFilter,
+      isDeleted: true,
+    };
+
+    // Calculate pagination
+    const pageSize = Math.min(parseInt(limit), 100);
+    const skip = (parseInt(page) - 1) * pageSize;
+    const total = await Note.countDocuments(query);
+    const totalPages = Math.ceil(total / pageSize);
+
+    const notes = await Note.find(query)
+      .populate("tags")
+      .populate("user", "name email")
+      .populate("deletedBy", "name email")
+      .skip(skip)
+      .limit(pageSize)
+      .sort({ deletedAt: -1 });
+
+    // Format response
+    const formattedNotes = notes.map((note) => ({
+      id: note._id,
+      title: note.title,
+      description: note.description,
+      tags: note.tags.map((tag) => tag.tagName),
+      author: {
+        id: note.user._id,
+        name: note.user.name,
+        email: note.user.email,
+      },
+      deletedAt: note.deletedAt,
+      deletedBy: note.deletedBy
+        ? {
+            id: note.deletedBy._id,
+            name: note.deletedBy.name,
+            email: note.deletedBy.email,
+          }
+        : null,
+      purgeAt: note.deletedAt
+        ? new Date(note.deletedAt.getTime() + retentionDays * DAY_IN_MS)
+        : null,
+      createdAt: note.createdAt,
+      updatedAt: note.updatedAt,
+    }));
+
+    sendResponse(res, 200, true, "Trash retrieved successfully", {
+      notes: formattedNotes,
+      retentionDays,
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: totalPages,
+      },
+    });
+  } catch (error) {
+    console.error("Get trash error:", error);
+    sendError(res, 500, "Failed to retrieve trash");
+  }
+};
+
+/**
+ * Restore a note from the trash
+ * POST /notes/:id/restore
+ */
+const restoreNote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+    const account = req.account;
+    const tenantFilter = req.tenantFilter || {};
+
+    const note = await Note.findOne({
+      _id: id,
+      ...tenantFilter,
+      isDeleted: true,
+    });
+
+    if (!note) {
+      return sendError(res, 404, "Note not found in trash");
+    }
+
+    // Check ownership if user is not admin
+    if (
+      user.role.roleName !== ROLES.ADMIN &&
+      note.user.toString() !== user._id.toString()
+    ) {
+      return sendError(res, 403, "You can only restore your own notes");
+    }
+
+    // Restored notes count against the plan again
+    const isCounted = account.countsTowardNoteLimit(note);
+    if (isCounted && !(await account.claimNoteSlot())) {
+      return sendNoteLimitExceeded(res, account);
+    }
+
+    note.isDeleted = false;
+    note.deletedAt = null;
+    note.deletedBy = null;
+
+    try {
+      await note.save();
+    } catch (error) {
+      if (isCounted) {
+        await account.releaseNoteSlots();
+      }
+      throw error;
+    }
+
+    // Wiki links to the note work again
+    await Note.setLinksBroken([note._id], false);
+
+    await publishNoteEvent(NOTE_EVENT_TYPES.RESTORED, note, user);
+
+    sendResponse(res, 200, true, "Note restored successfully", {
+      note: {
+        id: note._id,
+        title: note.title,
+        createdAt: note.createdAt,
+        updatedAt: note.updatedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Restore note error:", error);
+    if (error.name === "VersionError") {
+      return sendError(res, 409, "Note was modified by another request");
+    }
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to restore note");
+  }
+};
+
+/**
+ * Permanently delete a trashed note
+ * DELETE /notes/:id/permanent
+ */
+const permanentlyDeleteNote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+    const tenantFilter = req.tenantFilter || {};
+
+    const note = await Note.findOne({
+      _id: id,
+      ...tenantFilter,
+      isDeleted: true,
+    });
+
+    if (!note) {
+      return sendError(res, 404, "Note not found in trash");
+    }
+
+    // Check ownership if user is not admin
+    if (
+      user.role.roleName !== ROLES.ADMIN &&
+      note.user.toString() !== user._id.toString()
+    ) {
+      return sendError(res, 403, "You can only delete your own notes");
+    }
+
+    await Note.purge({ _id: note._id });
+
+    sendResponse(res, 200, true, "Note permanently deleted");
+  } catch (error) {
+    console.error("Permanent delete note error:", error);
+    if (error.name === "CastError") {
+      return sendError(res, 400, "Invalid note ID");
+    }
+    sendError(res, 500, "Failed to permanently delete note");
+  }
+};
+
+module.exports = {
+  getTrash,
+  restoreNote,
+  permanentlyDeleteNote,
+};
@@ -0,0 +1,240 @@
+const User = require("../models/User");
+const Session = require("../models/Session");
+const {
+  comparePassword,
+  sendResponse,
+  sendError,
+} = require("../utils/helpers");
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+} = require("../utils/totp");
+const {
+  generateRecoveryCodes,
+  verifySecondFactor,
+  countRecoveryCodes,
+} = require("../utils/twoFactor");
+const { SESSION_REVOKE_REASONS } = require("../utils/constants");
+
+/**
+ * Get the two-factor authentication state of the current user
+ * GET /auth/2fa
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactorRecoveryCodes"
+    );
+
+    sendResponse(res, 200, true, "Two-factor status retrieved successfully", {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      required: req.account.settings.requireTwoFactor,
+      recoveryCodesRemaining: user.twoFactorEnabled
+        ? countRecoveryCodes(user)
+        : 0,
+    });
+  } catch (error) {
+    console.error("Get two-factor status error:", error);
+    sendError(res, 500, "Failed to retrieve two-factor status");
+  }
+};
+
+/**
+ * Start two-factor enrollment with a new secret
+ * POST /auth/2fa/setup
+ * The secret stays pending until a code is verified
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactorEnabled) {
+      return sendError(
+        res,
+        409,
+        "Two-factor authentication is already enabled"
+      );
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    sendResponse(res, 200, true, "Scan the code with an authenticator app", {
+      secret,
+      otpauthUri: buildOtpAuthUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TOTP_ISSUER || "SaaS Notes",
+      }),
+    });
+  } catch (error) {
+    console.error("Setup two-factor error:", error);
+    sendError(res, 500, "Failed to set up two-factor authentication");
+  }
+};
+
+/**
+ * Activate two-factor authentication with a first code
+ * POST /auth/2fa/verify
+ * Returns the recovery codes, they are shown only once, and signs out
+ * every other device
+ */
+const verifyTwoFactorSetup = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(
+      "+twoFactorPendingSecret"
+    );
+
+    if (user.twoFactorEnabled) {
+      return sendError(
+        res,
+        409,
+        "Two-factor authentication is already enabled"
+      );
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return sendError(res, 400, "Start two-factor setup first");
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return sendError(res, 400, "Invalid verification code");
+    }
+
+    const { codes, hashedCodes } = generateRecoveryCodes();
+
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastStep = step;
+    user.twoFactorRecoveryCodes = hashedCodes;
+    await user.save();
+
+    // Other devices signed in with the password alone must sign in again
+    await Session.revokeForUser(
+      user._id,
+      SESSION_REVOKE_REASONS.TWO_FACTOR_ENABLED,
+      req.sessionId
+    );
+
+    sendResponse(res, 200, true, "Two-factor authentication enabled", {
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error("Verify two-factor setup error:", error);
+    sendError(res, 500, "Failed to enable two-factor authentication");
+  }
+};
+
+/**
+ * Replace the recovery codes, the old ones stop working
+ * POST /auth/2fa/recovery-codes
+ * Every other device is signed out
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (!user.twoFactorEnabled) {
+      return sendError(res, 400, "Two-factor authentication is not enabled");
+    }
+
+    const { valid } = await verifySecondFactor(user._id, { code });
+    if (!valid) {
+      return sendError(res, 400, "Invalid verification code");
+    }
+
+    const { codes, hashedCodes } = generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      { twoFactorRecoveryCodes: hashedCodes }
+    );
+
+    // Sessions opened with an old recovery code are signed out
+    await Session.revokeForUser(
+      user._id,
+      SESSION_REVOKE_REASONS.RECOVERY_CODES_REGENERATED,
+      req.sessionId
+    );
+
+    sendResponse(res, 200, true, "Recovery codes regenerated", {
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    sendError(res, 500, "Failed to regenerate recovery codes");
+  }
+};
+
+/**
+ * Turn off two-factor authentication
+ * POST /auth/2fa/disable
+ * Needs the password and a code, not allowed when the account requires 2FA
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = req.user;
+
+    if (!user.twoFactorEnabled) {
+      return sendError(res, 400, "Two-factor authentication is not enabled");
+    }
+
+    if (req.account.settings.requireTwoFactor) {
+      return sendError(
+        res,
+        403,
+        "Your account requires two-factor authentication"
+      );
+    }
+
+    const isValidPassword = await comparePassword(password, user.password);
+    if (!isValidPassword) {
+      return sendError(res, 400, "Password is incorrect");
+    }
+
+    const { valid } = await verifySecondFactor(user._id, {
+      code,
+      recoveryCode,
+    });
+    if (!valid) {
+      return sendError(res, 400, "Invalid verification code");
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        twoFactorEnabled: false,
+        twoFactorEnabledAt: null,
+        $unset: {
+          twoFactorSecret: 1,
+          twoFactorPendingSecret: 1,
+          twoFactorLastStep: 1,
+          twoFactorRecoveryCodes: 1,
+        },
+      }
+    );
+
+    sendResponse(res, 200, true, "Two-factor authentication disabled");
+  } catch (error) {
+    console.error("Disable two-factor error:", error);
+    sendError(res, 500, "Failed to disable two-factor authentication");
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  verifyTwoFactorSetup,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
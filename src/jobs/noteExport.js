@@ -0,0 +1,160 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { finished } = require("stream/promises");
+const Account = require("../models/Account");
+const ExportJob = require("../models/ExportJob");
+const { EXPORT_JOB_STATUS } = require("../utils/constants");
+const { buildNoteQuery } = require("../utils/noteQuery");
+const { getExportFileName, writeNotesExport } = require("../utils/noteExport");
+
+const HOUR_IN_MS = 60 * 60 * 1000;
+
+const EXPORT_DIR =
+  process.env.EXPORT_DIR || path.join(os.tmpdir(), "notes-exports");
+
+let cleanupTimer = null;
+// Exports run one at a time
+let queue = Promise.resolve();
+
+/**
+ * Build the export artifact of a pending job
+ */
+const runExportJob = async (jobId) => {
+  const job = await ExportJob.findOneAndUpdate(
+    { _id: jobId, status: EXPORT_JOB_STATUS.PENDING },
+    { status: EXPORT_JOB_STATUS.PROCESSING, startedAt: new Date() },
+    { new: true }
+  );
+
+  // Already picked up or removed
+  if (!job) return;
+
+  const filePath = path.join(EXPORT_DIR, `${job._id}-${job.format}`);
+
+  try {
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+
+    const account = await Account.findById(job.account).select("slug");
+    const query = await buildNoteQuery(
+      { account: job.account },
+      job.account,
+      job.filters
+    );
+
+    const output = fs.createWriteStream(filePath);
+    const noteCount = await writeNotesExport(job.format, query, output, {
+      account: { id: job.account, slug: account ? account.slug : null },
+    });
+    await finished(output);
+
+    const { size } = await fs.promises.stat(filePath);
+    const retentionHours = parseInt(process.env.EXPORT_RETENTION_HOURS) || 24;
+
+    job.status = EXPORT_JOB_STATUS.COMPLETED;
+    job.noteCount = noteCount;
+    job.fileName = getExportFileName(job.format, job.createdAt);
+    job.filePath = filePath;
+    job.fileSize = size;
+    job.completedAt = new Date();
+    job.expiresAt = new Date(Date.now() + retentionHours * HOUR_IN_MS);
+  } catch (error) {
+    console.error("Export job error:", error);
+    await fs.promises.rm(filePath, { force: true });
+
+    job.status = EXPORT_JOB_STATUS.FAILED;
+    job.error = "Export could not be completed";
+    job.completedAt = new Date();
+  }
+
+  await job.save();
+};
+
+/**
+ * Queue a job to run in the background
+ */
+const enqueueExportJob = (jobId) => {
+  queue = queue
+    .then(() => runExportJob(jobId))
+    .catch((error) => console.error("Export job error:", error));
+
+  return queue;
+};
+
+/**
+ * Delete expired export artifacts and their jobs
+ */
+const purgeExpiredExports = async () => {
+  const jobs = await ExportJob.find({ expiresAt: { $lt: new Date() } });
+
+  for (const job of jobs) {
+    if (job.filePath) {
+      await fs.promises.rm(job.filePath, { force: true });
+    }
+  }
+
+  await ExportJob.deleteMany({ _id: { $in: jobs.map((job) => job._id) } });
+  return jobs.length;
+};
+
+/**
+ * Resume unfinished exports and start the scheduled artifact cleanup
+ */
+const startExportJobs = async (
+  intervalMinutes = parseInt(process.env.EXPORT_CLEANUP_INTERVAL_MINUTES) || 60
+) => {
+  if (cleanupTimer) return cleanupTimer;
+
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredExports();
+      if (purged > 0) {
+        console.log(`Export cleanup: removed ${purged} expired export(s)`);
+      }
+    } catch (error) {
+      console.error("Export cleanup error:", error);
+    }
+  };
+
+  cleanupTimer = setInterval(run, intervalMinutes * 60 * 1000);
+  cleanupTimer.unref();
+  run();
+
+  // Exports interrupted by a restart start over
+  try {
+    await ExportJob.updateMany(
+      { status: EXPORT_JOB_STATUS.PROCESSING },
+      { status: EXPORT_JOB_STATUS.PENDING, startedAt: null }
+    );
+
+    const pendingJobs = await ExportJob.find({
+      status: EXPORT_JOB_STATUS.PENDING,
+    })
+      .sort({ createdAt: 1 })
+      .select("_id");
+
+    pendingJobs.forEach((job) => enqueueExportJob(job._id));
+  } catch (error) {
+    console.error("Export resume error:", error);
+  }
+
+  return cleanupTimer;
+};
+
+/**
+ * Stop the scheduled artifact cleanup
+ */
+const stopExportJobs = () => {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+};
+
+module.exports = {
+  runExportJob,
+  enqueueExportJob,
+  purgeExpiredExports,
+  startExportJobs,
+  stopExportJobs,
+};
@@ -0,0 +1,108 @@
+const Note = require("../models/Note");
+const Notification = require("../models/Notification");
+const { NOTIFICATION_TYPES } = require("../utils/constants");
+
+const BATCH_SIZE = 100;
+
+let reminderTimer = null;
+
+/**
+ * Build the notification message of a reminder
+ */
+const buildReminderMessage = (note) =>
+  note.dueAt
+    ? `Reminder: "${note.title}" is due ${note.dueAt.toISOString()}`
+    : `Reminder: "${note.title}"`;
+
+/**
+ * Notify note owners of every reminder that is due
+ * Reminders live on the notes, so the ones missed while the server was
+ * down are delivered on the next run
+ */
+const sendDueReminders = async (now = new Date()) => {
+  let sent = 0;
+  let notes;
+
+  do {
+    notes = await Note.find({
+      isDeleted: false,
+      remindAt: { $ne: null, $lte: now },
+      reminderSentAt: null,
+    })
+      .select("account user title dueAt remindAt")
+      .sort({ remindAt: 1 })
+      .limit(BATCH_SIZE);
+
+    for (const note of notes) {
+      // Claim the reminder first so another server instance cannot send
+      // it twice, and skip it if it was rescheduled in the meantime
+      const claimed = await Note.updateOne(
+        { _id: note._id, remindAt: note.remindAt, reminderSentAt: null },
+        { reminderSentAt: now },
+        { timestamps: false }
+      );
+
+      if (claimed.modifiedCount === 0) continue;
+
+      await Notification.create({
+        account: note.account,
+        user: note.user,
+        type: NOTIFICATION_TYPES.REMINDER,
+        note: note._id,
+        message: buildReminderMessage(note),
+      });
+      sent += 1;
+    }
+  } while (notes.length === BATCH_SIZE);
+
+  return sent;
+};
+
+/**
+ * Start the scheduled reminder delivery
+ */
+const startReminderJob = (
+  intervalSeconds = parseInt(process.env.REMINDER_INTERVAL_SECONDS) || 60
+) => {
+  if (reminderTimer) return reminderTimer;
+
+  let running = false;
+  const run = async () => {
+    // A slow run must not overlap with the next one
+    if (running) return;
+    running = true;
+
+    try {
+      const sent = await sendDueReminders();
+      if (sent > 0) {
+        console.log(`Reminders: sent ${sent} reminder(s)`);
+      }
+    } catch (error) {
+      console.error("Reminder job error:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  reminderTimer = setInterval(run, intervalSeconds * 1000);
+  reminderTimer.unref();
+  run();
+
+  return reminderTimer;
+};
+
+/**
+ * Stop the scheduled reminder delivery
+ */
+const stopReminderJob = () => {
+  if (reminderTimer) {
+    clearInterval(reminderTimer);
+    reminderTimer = null;
+  }
+};
+
+module.exports = {
+  sendDueReminders,
+  startReminderJob,
+  stopReminderJob,
+};
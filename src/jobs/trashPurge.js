@@ -0,0 +1,75 @@
+const Account = require("../models/Account");
+const Note = require("../models/Note");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+let purgeTimer = null;
+
+/**
+ * Permanently delete notes that have been in the trash longer than
+ * their account's retention period
+ */
+const purgeExpiredTrash = async () => {
+  const accounts = await Account.find({ isDeleted: false }).select("settings");
+  let purged = 0;
+
+  for (const account of accounts) {
+    const cutoff = new Date(
+      Date.now() - account.settings.trashRetentionDays * DAY_IN_MS
+    );
+
+    purged += await Note.purge({
+      account: account._id,
+      isDeleted: true,
+      $or: [
+        { deletedAt: { $lt: cutoff } },
+        // Notes trashed before deletedAt was tracked
+        { deletedAt: null, updatedAt: { $lt: cutoff } },
+      ],
+    });
+  }
+
+  return purged;
+};
+
+/**
+ * Start the scheduled trash purge
+ */
+const startTrashPurgeJob = (
+  intervalMinutes = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60
+) => {
+  if (purgeTimer) return purgeTimer;
+
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged > 0) {
+        console.log(`Trash purge: permanently deleted ${purged} note(s)`);
+      }
+    } catch (error) {
+      console.error("Trash purge error:", error);
+    }
+  };
+
+  purgeTimer = setInterval(run, intervalMinutes * 60 * 1000);
+  purgeTimer.unref();
+  run();
+
+  return purgeTimer;
+};
+
+/**
+ * Stop the scheduled trash purge
+ */
+const stopTrashPurgeJob = () => {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+};
+
+module.exports = {
+  purgeExpiredTrash,
+  startTrashPurgeJob,
+  stopTrashPurgeJob,
+};
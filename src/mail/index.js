@@ -0,0 +1,61 @@
+const path = require("path");
+const { MAIL_DRIVERS } = require("../utils/constants");
+const { createOutboxTransport } = require("./outboxTransport");
+const { createSmtpTransport } = require("./smtpTransport");
+
+/**
+ * Mail transports share one interface:
+ *   send({ from, to, subject, text, html }) - deliver a message
+ */
+
+let transport = null;
+
+/**
+ * Build a mail transport
+ */
+const createTransport = (driver) => {
+  switch (driver) {
+    case MAIL_DRIVERS.OUTBOX:
+      return createOutboxTransport({
+        dir: process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "outbox"),
+      });
+    case MAIL_DRIVERS.SMTP:
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || null,
+        secure: process.env.SMTP_SECURE === "true",
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      });
+    default:
+      throw new Error(`Unknown mail driver: ${driver}`);
+  }
+};
+
+/**
+ * Get the mail transport selected by MAIL_DRIVER
+ */
+const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransport(process.env.MAIL_DRIVER || MAIL_DRIVERS.OUTBOX);
+  }
+  return transport;
+};
+
+/**
+ * Send an email built by one of the mail templates
+ */
+const sendMail = (to, { subject, text, html }) =>
+  getMailTransport().send({
+    from: process.env.MAIL_FROM || "SaaS Notes <no-reply@localhost>",
+    to,
+    subject,
+    text,
+    html,
+  });
+
+module.exports = {
+  createTransport,
+  getMailTransport,
+  sendMail,
+};
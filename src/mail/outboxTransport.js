@@ -0,0 +1,37 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const { MAIL_DRIVERS } = require("../utils/constants");
+
+/**
+ * Create a mail transport writing every message as an .eml file to a
+ * local outbox directory instead of delivering it (for development)
+ */
+const createOutboxTransport = ({ dir }) => {
+  const outboxDir = path.resolve(dir);
+  const transporter = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+  });
+
+  return {
+    driver: MAIL_DRIVERS.OUTBOX,
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      const fileName = `${Date.now()}-${info.messageId.replace(
+        /[^\w.-]/g,
+        ""
+      )}.eml`;
+
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      await fs.promises.writeFile(path.join(outboxDir, fileName), info.message);
+
+      return { messageId: info.messageId, file: fileName };
+    },
+  };
+};
+
+module.exports = {
+  createOutboxTransport,
+};
@@ -0,0 +1,31 @@
+const nodemailer = require("nodemailer");
+const { MAIL_DRIVERS } = require("../utils/constants");
+
+/**
+ * Create a mail transport delivering messages through an SMTP server
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error("SMTP mail transport requires a host");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: port || (secure ? 465 : 587),
+    secure: !!secure,
+    auth: user && pass ? { user, pass } : undefined,
+  });
+
+  return {
+    driver: MAIL_DRIVERS.SMTP,
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+module.exports = {
+  createSmtpTransport,
+};
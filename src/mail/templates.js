@@ -0,0 +1,76 @@
+const { escapeHtml } = require("../utils/helpers");
+
+/**
+ * Wrap paragraphs and a call-to-action link into a minimal HTML email
+ */
+const renderHtml = (paragraphs, action) =>
+  [
+    "<!DOCTYPE html>",
+    '<html><body style="font-family: sans-serif; line-height: 1.5">',
+    ...paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`),
+    action
+      ? `<p><a href="${escapeHtml(action.url)}">${escapeHtml(
+          action.label
+        )}</a></p>`
+      : "",
+    "</body></html>",
+  ].join("\n");
+
+/**
+ * Invitation to join an account
+ */
+const invitationEmail = ({ inviterName, accountName, url, expiresAt }) => {
+  const paragraphs = [
+    `${inviterName} invited you to join ${accountName} on SaaS Notes.`,
+    `The invitation expires on ${expiresAt.toUTCString()}.`,
+  ];
+
+  return {
+    subject: `You are invited to join ${accountName}`,
+    text: [...paragraphs, `Accept the invitation: ${url}`].join("\n\n"),
+    html: renderHtml(paragraphs, { url, label: "Accept invitation" }),
+  };
+};
+
+/**
+ * Link to choose a new password
+ */
+const passwordResetEmail = ({ name, url, expiresAt }) => {
+  const paragraphs = [
+    `Hi ${name},`,
+    "We received a request to reset the password of your SaaS Notes account.",
+    `The link can be used once and expires on ${expiresAt.toUTCString()}.`,
+    "If you did not ask for a new password you can ignore this email.",
+  ];
+
+  return {
+    subject: "Reset your password",
+    text: [...paragraphs, `Reset your password: ${url}`].join("\n\n"),
+    html: renderHtml(paragraphs, { url, label: "Reset password" }),
+  };
+};
+
+/**
+ * Link to confirm a new or changed email address
+ */
+const emailVerificationEmail = ({ name, url, expiresAt, isChange }) => {
+  const paragraphs = [
+    `Hi ${name},`,
+    isChange
+      ? "Please confirm this new email address for your SaaS Notes account."
+      : "Please confirm the email address of your new SaaS Notes account.",
+    `The link expires on ${expiresAt.toUTCString()}.`,
+  ];
+
+  return {
+    subject: "Verify your email address",
+    text: [...paragraphs, `Verify your email: ${url}`].join("\n\n"),
+    html: renderHtml(paragraphs, { url, label: "Verify email" }),
+  };
+};
+
+module.exports = {
+  invitationEmail,
+  passwordResetEmail,
+  emailVerificationEmail,
+};
@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
 const { sendError } = require("../utils/helpers");
 
 /**
@@ -30,6 +31,13 @@ const authenticate = async (req, res, next) => {
       return sendError(res, 401, "Token has been invalidated");
     }
 
+    // Check the device session of the token was not revoked
+    const session = decoded.sid ? await Session.findActive(decoded.sid) : null;
+
+    if (!session || !session.user.equals(user._id)) {
+      return sendError(res, 401, "Session has expired or been revoked");
+    }
+
     // Check if account is active
     if (!user.account || !user.account.isActive || user.account.isDeleted) {
       return sendError(res, 401, "Account inactive or not found");
@@ -38,6 +46,8 @@ const authenticate = async (req, res, next) => {
     // Attach user to request
     req.user = user;
     req.account = user.account;
+    req.sessionId = session.family;
+    req.tokenExpiresAt = decoded.exp * 1000;
 
     next();
   } catch (error) {
@@ -1,5 +1,5 @@
 const { ROLES, PERMISSIONS } = require("../utils/constants");
-const { sendError } = require("../utils/helpers");
+const { sendError, getPermissionsAtLeast } = require("../utils/helpers");
 
 /**
  * Middleware to check if user has required role
@@ -90,12 +90,53 @@ const requireMember = (req, res, next) => {
   next();
 };
 
+/**
+ * Build the query filter limiting a user to resources they own, or that
+ * were shared with them with at least the given permission
+ * extraConditions are further ways to access a resource, e.g. as assignee
+ */
+const buildOwnershipFilter = (
+  user,
+  resourceUserIdField = "user",
+  sharePermission = null,
+  extraConditions = []
+) => {
+  if (!sharePermission && extraConditions.length === 0) {
+    return { [resourceUserIdField]: user._id };
+  }
+
+  return {
+    $or: [
+      { [resourceUserIdField]: user._id },
+      ...(sharePermission
+        ? [
+            {
+              shares: {
+                $elemMatch: {
+                  user: user._id,
+                  permission: { $in: getPermissionsAtLeast(sharePermission) },
+                },
+              },
+            },
+          ]
+        : []),
+      ...extraConditions,
+    ],
+  };
+};
+
 /**
  * Middleware to check resource ownership or admin access
  * Used for scenarios where users can only access their own resources
- * unless they are admin
+ * unless they are admin. When sharePermission is given, resources shared
+ * with the user at that level or above are accessible as well.
+ * getExtraConditions(req) may return further conditions granting access
  */
-const requireOwnershipOrAdmin = (resourceUserIdField = "user") => {
+const requireOwnershipOrAdmin = (
+  resourceUserIdField = "user",
+  sharePermission = null,
+  getExtraConditions = null
+) => {
   return (req, res, next) => {
     if (!req.user || !req.user.role) {
       return sendError(res, 401, "Authentication required");
@@ -113,7 +154,15 @@ const requireOwnershipOrAdmin = (resourceUserIdField = "user") => {
       req.tenantFilter = {};
     }
 
-    req.tenantFilter[resourceUserIdField] = req.user._id;
+    Object.assign(
+      req.tenantFilter,
+      buildOwnershipFilter(
+        req.user,
+        resourceUserIdField,
+        sharePermission,
+        getExtraConditions ? getExtraConditions(req) : []
+      )
+    );
 
     next();
   };
@@ -126,4 +175,5 @@ module.exports = {
   requireAdmin,
   requireMember,
   requireOwnershipOrAdmin,
+  buildOwnershipFilter,
 };
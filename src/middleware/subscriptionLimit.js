@@ -4,6 +4,20 @@ const {
 } = require("../utils/constants");
 const { sendError } = require("../utils/helpers");
 
+/**
+ * Reject a request that would take the account past its note limit
+ */
+const sendNoteLimitExceeded = (res, account) =>
+  sendError(res, 403, {
+    message: "Note limit exceeded for your current plan",
+    details: {
+      currentPlan: account.plan,
+      noteCount: account.noteCount,
+      maxNotes: SUBSCRIPTION_LIMITS[account.plan].maxNotes,
+      upgradeRequired: true,
+    },
+  });
+
 /**
  * Middleware to check if user can create more notes based on subscription plan
  */
@@ -30,15 +44,7 @@ const checkNoteLimit = async (req, res, next) => {
     // Check if current note count exceeds the limit
     // if (account.noteCount >= limit.maxNotes) {
     if (account.noteCount >= account.limit) {
-      return sendError(res, 403, {
-        message: "Note limit exceeded for your current plan",
-        details: {
-          currentPlan: account.plan,
-          noteCount: account.noteCount,
-          maxNotes: limit.maxNotes,
-          upgradeRequired: true,
-        },
-      });
+      return sendNoteLimitExceeded(res, account);
     }
 
     next();
@@ -106,6 +112,8 @@ const attachSubscriptionInfo = (req, res, next) => {
     usage: {
       noteCount: account.noteCount,
       maxNotes: limits ? limits.maxNotes : 0,
+      storageUsed: account.storageUsed,
+      maxStorage: limits ? limits.maxStorage : 0,
     },
     canCreateNote:
       account.plan === SUBSCRIPTION_PLANS.PRO ||
@@ -116,6 +124,7 @@ const attachSubscriptionInfo = (req, res, next) => {
 };
 
 module.exports = {
+  sendNoteLimitExceeded,
   checkNoteLimit,
   validateSubscriptionPlan,
   checkUpgradeEligibility,
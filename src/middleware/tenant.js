@@ -1,5 +1,6 @@
 const Account = require("../models/Account");
 const { sendError } = require("../utils/helpers");
+const { EMAIL_VERIFICATION_POLICIES } = require("../utils/constants");
 
 /**
  * Middleware to validate tenant slug from URL parameters
@@ -89,8 +90,50 @@ const checkAccountStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to block users with an unverified email address when the
+ * account's verification policy requires it
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  const policy = req.account?.settings?.emailVerificationPolicy;
+
+  if (
+    policy &&
+    policy !== EMAIL_VERIFICATION_POLICIES.NONE &&
+    !req.user.emailVerified
+  ) {
+    return sendError(res, 403, {
+      message: "Please verify your email address first",
+      details: {
+        emailVerificationRequired: true,
+      },
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to block users without two-factor authentication when the
+ * account requires it, they can only reach their profile and 2FA setup
+ */
+const requireTwoFactor = (req, res, next) => {
+  if (req.account?.settings?.requireTwoFactor && !req.user.twoFactorEnabled) {
+    return sendError(res, 403, {
+      message: "Your account requires two-factor authentication",
+      details: {
+        twoFactorSetupRequired: true,
+      },
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   validateTenantSlug,
   ensureTenantIsolation,
   checkAccountStatus,
+  requireVerifiedEmail,
+  requireTwoFactor,
 };
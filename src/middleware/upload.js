@@ -0,0 +1,63 @@
+const multer = require("multer");
+const { sendError } = require("../utils/helpers");
+const { SUBSCRIPTION_LIMITS } = require("../utils/constants");
+
+const IMPORT_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const IMPORT_MAX_FILES = 20;
+
+// Largest attachment any plan allows, plan limits are checked per account
+const ATTACHMENT_MAX_FILE_SIZE = Math.max(
+  ...Object.values(SUBSCRIPTION_LIMITS).map((limit) => limit.maxAttachmentSize)
+);
+
+/**
+ * Wrap a multer handler so upload errors use the API error format
+ */
+const handleUpload = (uploader) => (req, res, next) => {
+  uploader(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      switch (error.code) {
+        case "LIMIT_FILE_SIZE":
+          return sendError(res, 413, "File is too large");
+        case "LIMIT_FILE_COUNT":
+          return sendError(res, 400, "Too many files uploaded");
+        case "LIMIT_UNEXPECTED_FILE":
+          return sendError(res, 400, `Unexpected file field: ${error.field}`);
+        default:
+          return sendError(res, 400, error.message);
+      }
+    }
+
+    console.error("Upload error:", error);
+    sendError(res, 500, "Failed to process upload");
+  });
+};
+
+/**
+ * Middleware to receive note import files (multipart field "files")
+ * Files are kept in memory, their type is checked by the importer
+ */
+const uploadImportFiles = handleUpload(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMPORT_MAX_FILE_SIZE, files: IMPORT_MAX_FILES },
+  }).array("files", IMPORT_MAX_FILES)
+);
+
+/**
+ * Middleware to receive a single note attachment (multipart field "file")
+ */
+const uploadAttachmentFile = handleUpload(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: ATTACHMENT_MAX_FILE_SIZE, files: 1 },
+  }).single("file")
+);
+
+module.exports = {
+  handleUpload,
+  uploadImportFiles,
+  uploadAttachmentFile,
+};
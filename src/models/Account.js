@@ -1,5 +1,9 @@
 const mongoose = require("mongoose");
-const { SUBSCRIPTION_PLANS } = require("../utils/constants");
+const {
+  SUBSCRIPTION_PLANS,
+  EMAIL_VERIFICATION_POLICIES,
+  DEFAULT_ACCOUNT_SETTINGS,
+} = require("../utils/constants");
 
 const accountSchema = new mongoose.Schema(
   {
@@ -22,11 +26,46 @@ const accountSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Bytes used by note attachments
+    storageUsed: {
+      type: Number,
+      default: 0,
+    },
     currentSubscription: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Subscription",
       default: null,
     },
+    settings: {
+      // Days a trashed note is kept before it is purged for good
+      trashRetentionDays: {
+        type: Number,
+        min: 1,
+        max: 365,
+        default: DEFAULT_ACCOUNT_SETTINGS.trashRetentionDays,
+      },
+      // Allows notes to be published through public read-only links
+      publicLinksEnabled: {
+        type: Boolean,
+        default: DEFAULT_ACCOUNT_SETTINGS.publicLinksEnabled,
+      },
+      // Whether archived notes count toward the plan's note limit
+      countArchivedNotes: {
+        type: Boolean,
+        default: DEFAULT_ACCOUNT_SETTINGS.countArchivedNotes,
+      },
+      // What users with an unverified email address cannot do
+      emailVerificationPolicy: {
+        type: String,
+        enum: Object.values(EMAIL_VERIFICATION_POLICIES),
+        default: DEFAULT_ACCOUNT_SETTINGS.emailVerificationPolicy,
+      },
+      // Every user must enable two-factor authentication
+      requireTwoFactor: {
+        type: Boolean,
+        default: DEFAULT_ACCOUNT_SETTINGS.requireTwoFactor,
+      },
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -52,19 +91,64 @@ accountSchema.virtual("canCreateNote").get(function () {
   return this.noteCount < this.limit;
 });
 
-// Method to increment note count
-accountSchema.methods.incrementNoteCount = function () {
+// Method to take a note slot, atomically checked against the plan limit
+// Resolves to false when the plan has no room left
+accountSchema.methods.claimNoteSlot = async function () {
+  const { modifiedCount } = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [
+        { plan: SUBSCRIPTION_PLANS.PRO },
+        { $expr: { $lt: ["$noteCount", "$limit"] } },
+      ],
+    },
+    { $inc: { noteCount: 1 } }
+  );
+
+  if (modifiedCount === 0) return false;
   this.noteCount += 1;
-  return this.save();
+  return true;
 };
 
-// Method to decrement note count
-accountSchema.methods.decrementNoteCount = function () {
-  if (this.noteCount > 0) {
-    this.noteCount -= 1;
-    return this.save();
-  }
-  return Promise.resolve(this);
+// Method to give note slots back, atomically
+accountSchema.methods.releaseNoteSlots = async function (count = 1) {
+  if (count <= 0) return;
+
+  await this.constructor.updateOne({ _id: this._id }, [
+    {
+      $set: {
+        noteCount: { $max: [0, { $subtract: ["$noteCount", count] }] },
+      },
+    },
+  ]);
+  this.noteCount = Math.max(0, this.noteCount - count);
+};
+
+// Method to check whether a note counts toward the note limit
+accountSchema.methods.countsTowardNoteLimit = function (note) {
+  return !note.isArchived || this.settings.countArchivedNotes;
+};
+
+// Method to reserve attachment bytes, atomically checked against the quota
+// Resolves to false when the bytes do not fit
+accountSchema.methods.reserveStorage = async function (bytes, maxStorage) {
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, storageUsed: { $lte: maxStorage - bytes } },
+    { $inc: { storageUsed: bytes } }
+  );
+
+  if (modifiedCount === 0) return false;
+  this.storageUsed += bytes;
+  return true;
+};
+
+// Method to release attachment bytes from storage usage
+accountSchema.methods.releaseStorage = async function (bytes) {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { storageUsed: -bytes } }
+  );
+  this.storageUsed = Math.max(0, this.storageUsed - bytes);
 };
 
 // Method to upgrade subscription
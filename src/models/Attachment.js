@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+const { getStorage } = require("../storage");
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+      required: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 255,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    // Location of the file in the storage adapter
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    storageDriver: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+attachmentSchema.index({ note: 1, createdAt: 1 });
+attachmentSchema.index({ account: 1 });
+
+// Static method to delete the attachments of the given notes, their files
+// and the storage they use
+attachmentSchema.statics.removeForNotes = async function (noteIds) {
+  const attachments = await this.find({ note: { $in: noteIds } });
+  if (attachments.length === 0) return 0;
+
+  const releasedByAccount = new Map();
+
+  for (const attachment of attachments) {
+    try {
+      await getStorage(attachment.storageDriver).remove(attachment.storageKey);
+    } catch (error) {
+      console.error("Remove attachment file error:", error);
+    }
+
+    const account = attachment.account.toString();
+    releasedByAccount.set(
+      account,
+      (releasedByAccount.get(account) || 0) + attachment.size
+    );
+  }
+
+  await this.deleteMany({
+    _id: { $in: attachments.map((attachment) => attachment._id) },
+  });
+
+  for (const [account, bytes] of releasedByAccount) {
+    await mongoose
+      .model("Account")
+      .updateOne({ _id: account }, { $inc: { storageUsed: -bytes } });
+  }
+
+  return attachments.length;
+};
+
+// Remove storage location from JSON output
+attachmentSchema.methods.toJSON = function () {
+  const attachment = this.toObject();
+  delete attachment.storageKey;
+  return attachment;
+};
+
+module.exports = mongoose.model("Attachment", attachmentSchema);
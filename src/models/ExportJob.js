@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+const { EXPORT_FORMATS, EXPORT_JOB_STATUS } = require("../utils/constants");
+
+const exportJobSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    format: {
+      type: String,
+      enum: Object.values(EXPORT_FORMATS),
+      required: true,
+    },
+    // Same filters as GET /notes
+    filters: {
+      search: { type: String, default: null },
+      tags: { type: [String], default: [] },
+      notebook: { type: String, default: null },
+    },
+    status: {
+      type: String,
+      enum: Object.values(EXPORT_JOB_STATUS),
+      default: EXPORT_JOB_STATUS.PENDING,
+    },
+    noteCount: {
+      type: Number,
+      default: 0,
+    },
+    fileName: {
+      type: String,
+      default: null,
+    },
+    filePath: {
+      type: String,
+      default: null,
+    },
+    fileSize: {
+      type: Number,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // Artifact is removed by the export cleanup job after this date
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+exportJobSchema.index({ account: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1 });
+exportJobSchema.index({ expiresAt: 1 });
+
+// Remove file path from JSON output
+exportJobSchema.methods.toJSON = function () {
+  const job = this.toObject();
+  delete job.filePath;
+  return job;
+};
+
+module.exports = mongoose.model("ExportJob", exportJobSchema);
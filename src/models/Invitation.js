@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+const { ROLES, INVITATION_STATUS } = require("../utils/constants");
+
+const invitationSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    // Suggested name, the invitee may change it when accepting
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+      default: null,
+    },
+    role: {
+      type: String,
+      enum: Object.values(ROLES),
+      default: ROLES.MEMBER,
+    },
+    // Only the SHA-256 hash of the token is stored
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    sentCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ account: 1, email: 1, acceptedAt: 1, revokedAt: 1 });
+invitationSchema.index({ account: 1, createdAt: -1 });
+
+// Virtual for the state of the invitation
+invitationSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return INVITATION_STATUS.ACCEPTED;
+  if (this.revokedAt) return INVITATION_STATUS.REVOKED;
+  if (this.expiresAt <= new Date()) return INVITATION_STATUS.EXPIRED;
+  return INVITATION_STATUS.PENDING;
+});
+
+// Static method to build the filter of invitations in a given state
+invitationSchema.statics.statusFilter = function (status, now = new Date()) {
+  switch (status) {
+    case INVITATION_STATUS.ACCEPTED:
+      return { acceptedAt: { $ne: null } };
+    case INVITATION_STATUS.REVOKED:
+      return { acceptedAt: null, revokedAt: { $ne: null } };
+    case INVITATION_STATUS.EXPIRED:
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    default:
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+  }
+};
+
+// Remove token hash from JSON output
+invitationSchema.methods.toJSON = function () {
+  const invitation = this.toObject();
+  delete invitation.tokenHash;
+  return invitation;
+};
+
+module.exports = mongoose.model("Invitation", invitationSchema);
@@ -1,4 +1,107 @@
 const mongoose = require("mongoose");
+const {
+  ROLES,
+  SHARE_PERMISSIONS,
+  NOTE_FORMATS,
+  NOTE_VERSIONED_FIELDS,
+} = require("../utils/constants");
+const { getPermissionsAtLeast } = require("../utils/helpers");
+const { renderDescription } = require("../utils/markdown");
+const { normalizeLinkTitle, parseWikiLinks } = require("../utils/wikiLinks");
+
+const SHARE_PERMISSION_LEVELS = Object.values(SHARE_PERMISSIONS);
+
+const shareSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    permission: {
+      type: String,
+      enum: SHARE_PERMISSION_LEVELS,
+      required: true,
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Outgoing [[wiki link]] found in the description
+const linkSchema = new mongoose.Schema(
+  {
+    // Link text as written, without brackets
+    text: {
+      type: String,
+      required: true,
+    },
+    // Normalized title for [[Title]] links, null for [[note:<id>]] links
+    key: {
+      type: String,
+      default: null,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+      default: null,
+    },
+    isBroken: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+// Structured checklist item, kept next to the free-text description
+const checklistItemSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500,
+    },
+    checked: {
+      type: Boolean,
+      default: false,
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    // User of the same tenant responsible for the item
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    checkedAt: {
+      type: Date,
+      default: null,
+    },
+    checkedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
 
 const noteSchema = new mongoose.Schema(
   {
@@ -23,27 +126,160 @@ const noteSchema = new mongoose.Schema(
       trim: true,
       maxlength: 10000,
     },
+    // How the description is written and rendered
+    format: {
+      type: String,
+      enum: Object.values(NOTE_FORMATS),
+      default: NOTE_FORMATS.PLAIN,
+    },
+    // Sanitized HTML of the description, rendered on first request
+    renderedHtml: {
+      type: String,
+      default: null,
+      select: false,
+    },
     tags: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Tag",
       },
     ],
+    notebook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notebook",
+      default: null,
+    },
+    shares: [shareSchema],
+    links: [linkSchema],
+    checklist: [checklistItemSchema],
+    // Pinned notes are listed first for the whole tenant
+    isPinned: {
+      type: Boolean,
+      default: false,
+    },
+    pinnedAt: {
+      type: Date,
+      default: null,
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Archived notes are hidden from default listings
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Notes used as tasks can have a due date and a reminder
+    dueAt: {
+      type: Date,
+      default: null,
+    },
+    remindAt: {
+      type: Date,
+      default: null,
+    },
+    // Set by the reminder job once the reminder has been delivered
+    reminderSentAt: {
+      type: Date,
+      default: null,
+    },
+    // Users who marked the note as a favorite
+    favoritedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
     isDeleted: {
       type: Boolean,
       default: false,
     },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   {
     timestamps: true,
+    // Every save bumps the version key and fails on a stale copy
+    optimisticConcurrency: true,
   }
 );
 
+// Virtual exposing the version key as the note's version number
+noteSchema.virtual("version").get(function () {
+  return this.__v || 0;
+});
+
+// Virtual summarizing how much of the checklist is done
+noteSchema.virtual("checklistProgress").get(function () {
+  const items = this.checklist || [];
+  const checked = items.filter((item) => item.checked).length;
+
+  return {
+    total: items.length,
+    checked,
+    percent: items.length ? Math.round((checked / items.length) * 100) : null,
+  };
+});
+
+// Render the HTML cache whenever the rendered content changes, so reads
+// never have to write it
+noteSchema.pre("save", function (next) {
+  if (
+    this.isNew ||
+    this.isModified("description") ||
+    this.isModified("format")
+  ) {
+    this.renderedHtml = renderDescription(this.description, this.format);
+  }
+  next();
+});
+
+// A rescheduled reminder has to be delivered again
+noteSchema.pre("save", function (next) {
+  if (this.isModified("remindAt")) {
+    this.reminderSentAt = null;
+  }
+  next();
+});
+
 // Indexes for better query performance
 noteSchema.index({ account: 1, isDeleted: 1 });
 noteSchema.index({ account: 1, user: 1, isDeleted: 1 });
 noteSchema.index({ account: 1, tags: 1, isDeleted: 1 });
+noteSchema.index({ account: 1, notebook: 1, isDeleted: 1 });
+noteSchema.index({ account: 1, "shares.user": 1, isDeleted: 1 });
+noteSchema.index({ account: 1, isArchived: 1, isPinned: -1, isDeleted: 1 });
+noteSchema.index({ account: 1, favoritedBy: 1, isDeleted: 1 });
+noteSchema.index({ account: 1, user: 1, dueAt: 1, isDeleted: 1 });
+noteSchema.index({ reminderSentAt: 1, remindAt: 1, isDeleted: 1 });
+noteSchema.index({
+  account: 1,
+  "checklist.assignee": 1,
+  "checklist.checked": 1,
+  isDeleted: 1,
+});
+noteSchema.index({ "links.target": 1, isDeleted: 1 });
+noteSchema.index({ account: 1, "links.key": 1 });
 noteSchema.index({ createdAt: -1 });
+noteSchema.index({ isDeleted: 1, deletedAt: 1 });
 
 // Text search index for title and description
 noteSchema.index(
@@ -56,4 +292,229 @@ noteSchema.index(
   }
 );
 
+// Method to get the share permission granted to a user, if any
+noteSchema.methods.getSharePermission = function (userId) {
+  const share = this.shares.find(
+    (entry) => (entry.user._id || entry.user).toString() === userId.toString()
+  );
+  return share ? share.permission : null;
+};
+
+// Method to check if user may act on the note with at least the given
+// share permission - admins and the owner always can
+noteSchema.methods.hasPermission = function (user, permission) {
+  if (user.role && user.role.roleName === ROLES.ADMIN) return true;
+
+  const ownerId = (this.user._id || this.user).toString();
+  if (ownerId === user._id.toString()) return true;
+
+  const granted = this.getSharePermission(user._id);
+  return !!granted && getPermissionsAtLeast(permission).includes(granted);
+};
+
+// Method to describe the access a user has to the note
+noteSchema.methods.getAccessLevel = function (user) {
+  const ownerId = (this.user._id || this.user).toString();
+  if (ownerId === user._id.toString()) return "owner";
+  if (user.role && user.role.roleName === ROLES.ADMIN) return "admin";
+  return this.getSharePermission(user._id);
+};
+
+// Method to check whether a user marked the note as a favorite
+noteSchema.methods.isFavoriteOf = function (userId) {
+  return (this.favoritedBy || []).some(
+    (id) => id.toString() === userId.toString()
+  );
+};
+
+// Method to get the checklist items in display order
+noteSchema.methods.getSortedChecklist = function () {
+  return [...this.checklist].sort((a, b) => a.order - b.order);
+};
+
+// Method to build the entity tag of the note
+// updatedAt is included so bulk updates that skip the version key still
+// produce a new tag; a render variant such as "html" gets its own tag
+noteSchema.methods.getETag = function (render = null) {
+  const updatedAt = this.updatedAt ? this.updatedAt.getTime() : 0;
+  return `"${this.version}-${updatedAt}${render ? `-${render}` : ""}"`;
+};
+
+// Method to get the sanitized HTML of the description
+// Load the note with +renderedHtml to make use of the cached copy, notes
+// saved before the cache existed are rendered on the fly
+noteSchema.methods.getRenderedHtml = function () {
+  if (typeof this.renderedHtml === "string") {
+    return this.renderedHtml;
+  }
+
+  return renderDescription(this.description, this.format);
+};
+
+// Method to list versioned fields modified since the note was loaded
+// Tag changes are compared against the tag ids captured before editing
+noteSchema.methods.getChangedVersionedFields = function (previousTagIds) {
+  return NOTE_VERSIONED_FIELDS.filter((field) => {
+    if (field === "tags") {
+      const before = [...previousTagIds].sort().join(",");
+      const after = this.tags
+        .map((tag) => (tag._id || tag).toString())
+        .sort()
+        .join(",");
+      return before !== after;
+    }
+    return this.isModified(field);
+  });
+};
+
+// Method to rebuild the outgoing link index from the description
+// Title links point to the most recently updated note with that title
+noteSchema.methods.refreshLinks = async function () {
+  const parsedLinks = parseWikiLinks(this.description);
+  const Note = this.constructor;
+
+  const idLinks = parsedLinks.filter((link) => link.noteId);
+  const titleLinks = parsedLinks.filter((link) => link.key);
+
+  const notesById = await Note.find({
+    _id: { $in: idLinks.map((link) => link.noteId) },
+    account: this.account,
+  }).select("isDeleted");
+
+  const notesByTitle = await Note.find({
+    account: this.account,
+    isDeleted: false,
+    title: {
+      $in: titleLinks.map((link) => link.title.trim().replace(/\s+/g, " ")),
+    },
+  })
+    .collation({ locale: "en", strength: 2 })
+    .sort({ updatedAt: -1 })
+    .select("title");
+
+  const byId = new Map(notesById.map((note) => [note._id.toString(), note]));
+  const byTitle = new Map();
+  for (const note of notesByTitle) {
+    const key = normalizeLinkTitle(note.title);
+    if (!byTitle.has(key)) byTitle.set(key, note);
+  }
+
+  this.links = parsedLinks.map((link) => {
+    if (link.noteId) {
+      const target = byId.get(link.noteId);
+      return {
+        text: link.raw,
+        target: link.noteId,
+        isBroken: !target || target.isDeleted,
+      };
+    }
+
+    const target = byTitle.get(link.key);
+    return {
+      text: link.raw,
+      key: link.key,
+      target: target ? target._id : null,
+      isBroken: !target,
+    };
+  });
+
+  return this.links;
+};
+
+// Static method to flag links pointing at the given notes as broken
+// (notes moved to the trash) or working again (notes restored)
+noteSchema.statics.setLinksBroken = function (noteIds, isBroken) {
+  return this.updateMany(
+    { "links.target": { $in: noteIds } },
+    { $set: { "links.$[link].isBroken": isBroken } },
+    { arrayFilters: [{ "link.target": { $in: noteIds } }], timestamps: false }
+  );
+};
+
+// Static method to connect dangling or broken [[Title]] links to a note
+// with that title, broken ones may still point at a trashed note
+noteSchema.statics.resolvePendingLinks = function (note) {
+  const key = normalizeLinkTitle(note.title);
+
+  return this.updateMany(
+    {
+      account: note.account,
+      _id: { $ne: note._id },
+      links: {
+        $elemMatch: { key, $or: [{ target: null }, { isBroken: true }] },
+      },
+    },
+    {
+      $set: {
+        "links.$[link].target": note._id,
+        "links.$[link].isBroken": false,
+      },
+    },
+    {
+      arrayFilters: [
+        {
+          // $or comes first, Mongoose only casts array filters led by it
+          $or: [{ "link.target": null }, { "link.isBroken": true }],
+          "link.key": key,
+        },
+      ],
+      timestamps: false,
+    }
+  );
+};
+
+// Static method to keep [[Title]] links in step with a renamed note
+// Links to the old title move to another note with that title, or break
+noteSchema.statics.retitleLinks = async function (note, previousTitle) {
+  const previousKey = normalizeLinkTitle(previousTitle);
+
+  if (previousKey !== normalizeLinkTitle(note.title)) {
+    const replacement = await this.findOne({
+      account: note.account,
+      _id: { $ne: note._id },
+      isDeleted: false,
+      title: previousTitle.trim().replace(/\s+/g, " "),
+    })
+      .collation({ locale: "en", strength: 2 })
+      .sort({ updatedAt: -1 })
+      .select("_id");
+
+    await this.updateMany(
+      {
+        account: note.account,
+        links: { $elemMatch: { key: previousKey, target: note._id } },
+      },
+      {
+        $set: {
+          "links.$[link].target": replacement ? replacement._id : null,
+          "links.$[link].isBroken": !replacement,
+        },
+      },
+      {
+        arrayFilters: [{ "link.key": previousKey, "link.target": note._id }],
+        timestamps: false,
+      }
+    );
+  }
+
+  return this.resolvePendingLinks(note);
+};
+
+// Static method to permanently remove notes and everything attached to them
+noteSchema.statics.purge = async function (filter) {
+  const notes = await this.find(filter).select("_id");
+  const noteIds = notes.map((note) => note._id);
+
+  if (noteIds.length === 0) return 0;
+
+  await mongoose.model("NoteVersion").deleteMany({ note: { $in: noteIds } });
+  await mongoose.model("PublicLink").deleteMany({ note: { $in: noteIds } });
+  await mongoose.model("Comment").deleteMany({ note: { $in: noteIds } });
+  await mongoose.model("Notification").deleteMany({ note: { $in: noteIds } });
+  await mongoose.model("Attachment").removeForNotes(noteIds);
+  await this.deleteMany({ _id: { $in: noteIds } });
+
+  return noteIds.length;
+};
+
 module.exports = mongoose.model("Note", noteSchema);
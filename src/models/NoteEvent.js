@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+const { NOTE_EVENT_TYPES } = require("../utils/constants");
+
+const noteEventSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(NOTE_EVENT_TYPES),
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Snapshot of who could see the note when the event happened
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    shares: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        permission: {
+          type: String,
+        },
+      },
+    ],
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+noteEventSchema.index({ account: 1, _id: 1 });
+// Keep the event log for a week so clients can resume after a disconnect
+noteEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("NoteEvent", noteEventSchema);
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const { NOTE_FORMATS } = require("../utils/constants");
+
+const noteTemplateSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // Title, description and tags may contain {{placeholders}}
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 10000,
+      default: "",
+    },
+    format: {
+      type: String,
+      enum: Object.values(NOTE_FORMATS),
+      default: NOTE_FORMATS.PLAIN,
+    },
+    tags: [
+      {
+        type: String,
+        trim: true,
+        maxlength: 50,
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Template names are unique within a tenant
+noteTemplateSchema.index({ account: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("NoteTemplate", noteTemplateSchema);
@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+const { SUBSCRIPTION_LIMITS } = require("../utils/constants");
+
+const noteVersionSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    // Tag names are stored instead of ids so a revision stays readable
+    // after the tag itself is renamed or removed
+    tags: [
+      {
+        type: String,
+      },
+    ],
+    changedFields: [
+      {
+        type: String,
+      },
+    ],
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+noteVersionSchema.index({ note: 1, version: -1 }, { unique: true });
+noteVersionSchema.index({ account: 1, note: 1 });
+
+// Revisions are immutable once written
+noteVersionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Note revisions cannot be modified"));
+  }
+  next();
+});
+
+// Static method to record a revision of a note and apply plan retention
+// note must have its tags populated
+noteVersionSchema.statics.record = async function (
+  note,
+  { author, plan, changedFields, restoredFrom = null }
+) {
+  const latest = await this.findOne({ note: note._id })
+    .sort({ version: -1 })
+    .select("version");
+
+  const revision = await this.create({
+    account: note.account,
+    note: note._id,
+    version: latest ? latest.version + 1 : 1,
+    author,
+    title: note.title,
+    description: note.description || "",
+    tags: note.tags.map((tag) => tag.tagName),
+    changedFields,
+    restoredFrom,
+  });
+
+  // Drop the oldest revisions beyond the plan's retention
+  const limits = SUBSCRIPTION_LIMITS[plan];
+  const maxVersions = limits ? limits.maxVersions : -1;
+
+  if (maxVersions > 0) {
+    const expired = await this.find({ note: note._id })
+      .sort({ version: -1 })
+      .skip(maxVersions)
+      .select("_id");
+
+    if (expired.length > 0) {
+      await this.deleteMany({ _id: { $in: expired.map((v) => v._id) } });
+    }
+  }
+
+  return revision;
+};
+
+// Static method to snapshot a note's current state when it has no revisions
+// yet (notes created before version history was introduced)
+noteVersionSchema.statics.ensureBaseline = async function (note, plan) {
+  const exists = await this.exists({ note: note._id });
+  if (exists) return null;
+
+  const snapshot = await mongoose
+    .model("Note")
+    .findById(note._id)
+    .populate("tags");
+
+  return this.record(snapshot, {
+    author: snapshot.user,
+    plan,
+    changedFields: [],
+  });
+};
+
+module.exports = mongoose.model("NoteVersion", noteVersionSchema);
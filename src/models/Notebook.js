@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const notebookSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notebook",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+notebookSchema.index({ account: 1, parent: 1 });
+
+// Static method to collect the ids of every notebook nested below a notebook
+notebookSchema.statics.getDescendantIds = async function (account, notebookId) {
+  const descendants = [];
+  let frontier = [notebookId];
+
+  while (frontier.length > 0) {
+    const children = await this.find({
+      account,
+      parent: { $in: frontier },
+    }).select("_id");
+
+    frontier = children.map((child) => child._id);
+    descendants.push(...frontier);
+  }
+
+  return descendants;
+};
+
+module.exports = mongoose.model("Notebook", notebookSchema);
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+const publicLinkSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+      required: true,
+    },
+    // Only the SHA-256 hash of the token is stored
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    passwordHash: {
+      type: String,
+      default: null,
+    },
+    viewCount: {
+      type: Number,
+      default: 0,
+    },
+    lastViewedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+publicLinkSchema.index({ tokenHash: 1 }, { unique: true });
+publicLinkSchema.index({ account: 1, note: 1 });
+
+// Virtual to check if link can still be used
+publicLinkSchema.virtual("isActive").get(function () {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt < new Date()) return false;
+  return true;
+});
+
+// Static method to revoke every active link of the given notes
+publicLinkSchema.statics.revokeForNotes = function (noteIds) {
+  return this.updateMany(
+    { note: { $in: noteIds }, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Remove password hash from JSON output
+publicLinkSchema.methods.toJSON = function () {
+  const link = this.toObject();
+  delete link.tokenHash;
+  delete link.passwordHash;
+  return link;
+};
+
+module.exports = mongoose.model("PublicLink", publicLinkSchema);
@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+
+/**
+ * A Session is one refresh token of a signed-in device. Every refresh
+ * rotates the token into a new Session of the same family, the rotated
+ * record is kept until it expires so a replayed token can be detected.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    // Shared by every rotation of a login, used as the session id
+    family: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Only the SHA-256 hash of the refresh token is stored
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    device: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: "Unknown device",
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ family: 1, rotatedAt: 1, revokedAt: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Filter matching the current, usable record of each family
+const activeFilter = () => ({
+  rotatedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+// Virtual to check if the refresh token can still be used
+sessionSchema.virtual("isActive").get(function () {
+  if (this.rotatedAt || this.revokedAt) return false;
+  return this.expiresAt > new Date();
+});
+
+// Static method to find the current record of a session family
+sessionSchema.statics.findActive = function (family) {
+  return this.findOne({ family, ...activeFilter() });
+};
+
+// Static method to list the signed-in devices of a user
+sessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({ user: userId, ...activeFilter() }).sort({
+    lastUsedAt: -1,
+  });
+};
+
+// Static method to revoke every record of a session family
+sessionSchema.statics.revokeFamily = function (family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Static method to revoke every session of a user, optionally keeping one
+// session family signed in
+sessionSchema.statics.revokeForUser = function (
+  userId,
+  reason,
+  exceptFamily = null
+) {
+  return this.updateMany(
+    {
+      user: userId,
+      revokedAt: null,
+      ...(exceptFamily && { family: { $ne: exceptFamily } }),
+    },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Remove token hash from JSON output
+sessionSchema.methods.toJSON = function () {
+  const session = this.toObject();
+  delete session.refreshTokenHash;
+  return session;
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
+const Session = require("./Session");
 const { hashPassword } = require("../utils/helpers");
+const { SESSION_REVOKE_REASONS } = require("../utils/constants");
 
 const userSchema = new mongoose.Schema(
   {
@@ -29,6 +31,63 @@ const userSchema = new mongoose.Schema(
       ref: "Role",
       required: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // New address waiting for verification, email changes once verified
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    // SHA-256 hash of the pending email verification token
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpiresAt: {
+      type: Date,
+      select: false,
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+      default: null,
+    },
+    // Base32 TOTP secrets, the pending one becomes active once verified
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // Last accepted TOTP time step, older codes cannot be replayed
+    twoFactorLastStep: {
+      type: Number,
+      select: false,
+    },
+    // SHA-256 hashes of the one-time recovery codes
+    twoFactorRecoveryCodes: {
+      type: [
+        {
+          _id: false,
+          hash: String,
+          usedAt: { type: Date, default: null },
+        },
+      ],
+      select: false,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -41,6 +100,20 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // SHA-256 hash of the token of the user's iCalendar feed
+    calendarTokenHash: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hash of the pending password reset token
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpiresAt: {
+      type: Date,
+      select: false,
+    },
     lastLogin: {
       type: Date,
     },
@@ -56,6 +129,9 @@ const userSchema = new mongoose.Schema(
 // Compound unique index for email and account
 userSchema.index({ email: 1, account: 1 }, { unique: true });
 userSchema.index({ account: 1, isActive: 1, isDeleted: 1 });
+userSchema.index({ calendarTokenHash: 1 }, { unique: true, sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre("save", async function (next) {
@@ -69,17 +145,33 @@ userSchema.pre("save", async function (next) {
   }
 });
 
-// Method to invalidate all tokens
-userSchema.methods.invalidateTokens = function () {
+// Method to invalidate all tokens and sign out every device
+userSchema.methods.invalidateTokens = async function (
+  reason = SESSION_REVOKE_REASONS.TOKENS_INVALIDATED
+) {
   this.tokensInvalidBefore = new Date();
+  await Session.revokeForUser(this._id, reason);
   return this.save();
 };
 
+// Static method to mark users created before email verification existed
+// as verified, they would otherwise load with the false default
+userSchema.statics.backfillEmailVerified = function () {
+  return this.updateMany(
+    { emailVerified: { $exists: false } },
+    { emailVerified: true },
+    { timestamps: false }
+  );
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
   delete user.tokensInvalidBefore;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorRecoveryCodes;
   return user;
 };
 
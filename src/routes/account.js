@@ -0,0 +1,41 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getAccountSettings,
+  updateAccountSettings,
+} = require("../controllers/accountController");
+
+const { authenticate } = require("../middleware/auth");
+const { requireAdmin, requireMember } = require("../middleware/rolePermission");
+const {
+  ensureTenantIsolation,
+  checkAccountStatus,
+  requireTwoFactor,
+} = require("../middleware/tenant");
+const { validate, accountSettingsSchema } = require("../utils/validators");
+
+/**
+ * All routes are protected and require authentication
+ */
+router.use(authenticate);
+router.use(ensureTenantIsolation);
+router.use(checkAccountStatus);
+router.use(requireTwoFactor);
+
+/**
+ * Account Settings Routes
+ */
+
+// Get account settings
+router.get("/settings", requireMember, getAccountSettings);
+
+// Update account settings (Admin only)
+router.put(
+  "/settings",
+  requireAdmin,
+  validate(accountSettingsSchema),
+  updateAccountSettings
+);
+
+module.exports = router;
@@ -4,19 +4,55 @@ const router = express.Router();
 const {
   register,
   login,
+  loginTwoFactor,
   getProfile,
-  inviteUser,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  changeEmail,
   changePassword,
+  refresh,
+  getSessions,
+  revokeSession,
   logout,
   getAccountUsers,
 } = require("../controllers/authController");
+const {
+  inviteUser,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
+  acceptInvitation,
+} = require("../controllers/invitationController");
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  verifyTwoFactorSetup,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require("../controllers/twoFactorController");
 
-const { authenticate } = require("../middleware/auth");
+const { authenticate, optionalAuth } = require("../middleware/auth");
 const { requireAdmin } = require("../middleware/rolePermission");
 const {
   ensureTenantIsolation,
   checkAccountStatus,
+  requireTwoFactor,
 } = require("../middleware/tenant");
+const {
+  validate,
+  inviteUserSchema,
+  acceptInvitationSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  changeEmailSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  disableTwoFactorSchema,
+} = require("../utils/validators");
 
 /**
  * Public Routes
@@ -28,6 +64,36 @@ router.post("/register", register);
 // Login user
 router.post("/login", login);
 
+// Complete a login with a two-factor code
+router.post("/login/2fa", validate(twoFactorLoginSchema), loginTwoFactor);
+
+// Exchange a refresh token for new tokens
+router.post("/refresh", refresh);
+
+// Email a password reset link
+router.post("/forgot-password", validate(forgotPasswordSchema), forgotPassword);
+
+// Set a new password with a reset token
+router.post("/reset-password", validate(resetPasswordSchema), resetPassword);
+
+// Verify an email address with an emailed token
+router.post("/verify-email", validate(verifyEmailSchema), verifyEmail);
+
+// Send a new verification link (to the current user when logged in)
+router.post(
+  "/verify-email/resend",
+  optionalAuth,
+  validate(resendVerificationSchema),
+  resendVerification
+);
+
+// Accept an invitation and create the invited user
+router.post(
+  "/invitations/:token/accept",
+  validate(acceptInvitationSchema),
+  acceptInvitation
+);
+
 /**
  * Protected Routes
  */
@@ -44,6 +110,7 @@ router.get(
   "/users",
   authenticate,
   ensureTenantIsolation,
+  requireTwoFactor,
   requireAdmin,
   getAccountUsers
 );
@@ -54,10 +121,55 @@ router.post(
   authenticate,
   ensureTenantIsolation,
   checkAccountStatus,
+  requireTwoFactor,
   requireAdmin,
+  validate(inviteUserSchema),
   inviteUser
 );
 
+// List the invitations of the account (Admin only)
+router.get(
+  "/invitations",
+  authenticate,
+  ensureTenantIsolation,
+  checkAccountStatus,
+  requireTwoFactor,
+  requireAdmin,
+  getInvitations
+);
+
+// Resend an invitation with a new link (Admin only)
+router.post(
+  "/invitations/:id/resend",
+  authenticate,
+  ensureTenantIsolation,
+  checkAccountStatus,
+  requireTwoFactor,
+  requireAdmin,
+  resendInvitation
+);
+
+// Revoke an invitation (Admin only)
+router.delete(
+  "/invitations/:id",
+  authenticate,
+  ensureTenantIsolation,
+  checkAccountStatus,
+  requireTwoFactor,
+  requireAdmin,
+  revokeInvitation
+);
+
+// Change email address (applied once the new address is verified)
+router.put(
+  "/email",
+  authenticate,
+  ensureTenantIsolation,
+  checkAccountStatus,
+  validate(changeEmailSchema),
+  changeEmail
+);
+
 // Change password
 router.post(
   "/change-password",
@@ -67,7 +179,61 @@ router.post(
   changePassword
 );
 
-// Logout user
+// Get the two-factor authentication state of the current user
+router.get(
+  "/2fa",
+  authenticate,
+  ensureTenantIsolation,
+  checkAccountStatus,
+  getTwoFactorStatus
+);
+
+// Start two-factor enrollment
+router.post(
+  "/2fa/setup",
+  authenticate,
+  ensureTenantIsolation,
+  checkAccountStatus,
+  setupTwoFactor
+);
+
+// Activate two-factor authentication with a first code
+router.post(
+  "/2fa/verify",
+  authenticate,
+  ensureTenantIsolation,
+  checkAccountStatus,
+  validate(twoFactorCodeSchema),
+  verifyTwoFactorSetup
+);
+
+// Replace the recovery codes
+router.post(
+  "/2fa/recovery-codes",
+  authenticate,
+  ensureTenantIsolation,
+  checkAccountStatus,
+  validate(twoFactorCodeSchema),
+  regenerateRecoveryCodes
+);
+
+// Turn off two-factor authentication
+router.post(
+  "/2fa/disable",
+  authenticate,
+  ensureTenantIsolation,
+  checkAccountStatus,
+  validate(disableTwoFactorSchema),
+  disableTwoFactor
+);
+
+// List the signed-in devices of the current user
+router.get("/sessions", authenticate, getSessions);
+
+// Sign out one device
+router.delete("/sessions/:id", authenticate, revokeSession);
+
+// Logout user from the current device
 router.post("/logout", authenticate, logout);
 
 module.exports = router;
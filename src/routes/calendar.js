@@ -0,0 +1,48 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  createCalendarToken,
+  revokeCalendarToken,
+  getCalendarFeed,
+} = require("../controllers/calendarController");
+
+const { authenticate } = require("../middleware/auth");
+const { requireMember } = require("../middleware/rolePermission");
+const {
+  ensureTenantIsolation,
+  checkAccountStatus,
+  requireTwoFactor,
+} = require("../middleware/tenant");
+
+/**
+ * Calendar Routes
+ */
+
+// Create or rotate the calendar feed token of the current user
+router.post(
+  "/token",
+  authenticate,
+  ensureTenantIsolation,
+  checkAccountStatus,
+  requireTwoFactor,
+  requireMember,
+  createCalendarToken
+);
+
+// Disable the calendar feed of the current user
+router.delete(
+  "/token",
+  authenticate,
+  ensureTenantIsolation,
+  checkAccountStatus,
+  requireTwoFactor,
+  requireMember,
+  revokeCalendarToken
+);
+
+// iCalendar feed of due notes - No authentication required, calendar
+// clients authenticate with the token in the URL
+router.get("/:token.ics", getCalendarFeed);
+
+module.exports = router;
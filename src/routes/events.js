@@ -0,0 +1,38 @@
+const express = require("express");
+const router = express.Router();
+
+const { streamEvents } = require("../controllers/eventController");
+
+const { authenticate } = require("../middleware/auth");
+const {
+  requireMember,
+  requireOwnershipOrAdmin,
+} = require("../middleware/rolePermission");
+const {
+  ensureTenantIsolation,
+  checkAccountStatus,
+  requireTwoFactor,
+} = require("../middleware/tenant");
+const { SHARE_PERMISSIONS } = require("../utils/constants");
+
+/**
+ * All routes are protected and require authentication
+ */
+router.use(authenticate);
+router.use(ensureTenantIsolation);
+router.use(checkAccountStatus);
+router.use(requireTwoFactor);
+
+/**
+ * Event Stream Routes
+ */
+
+// Stream note changes as Server-Sent Events
+router.get(
+  "/",
+  requireMember,
+  requireOwnershipOrAdmin("owner", SHARE_PERMISSIONS.VIEWER),
+  streamEvents
+);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  createNotebook,
+  getNotebooks,
+  getNotebookById,
+  updateNotebook,
+  deleteNotebook,
+} = require("../controllers/notebookController");
+
+const { authenticate } = require("../middleware/auth");
+const { requireMember } = require("../middleware/rolePermission");
+const {
+  ensureTenantIsolation,
+  checkAccountStatus,
+  requireTwoFactor,
+} = require("../middleware/tenant");
+
+/**
+ * All routes are protected and require authentication
+ */
+router.use(authenticate);
+router.use(ensureTenantIsolation);
+router.use(checkAccountStatus);
+router.use(requireTwoFactor);
+
+/**
+ * Notebook Routes
+ */
+
+// Create new notebook
+router.post("/", requireMember, createNotebook);
+
+// Get all notebooks for the tenant
+router.get("/", requireMember, getNotebooks);
+
+// Get specific notebook by ID
+router.get("/:id", requireMember, getNotebookById);
+
+// Rename or move notebook
+router.put("/:id", requireMember, updateNotebook);
+
+// Delete notebook
+router.delete("/:id", requireMember, deleteNotebook);
+
+module.exports = router;
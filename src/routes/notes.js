@@ -7,19 +7,92 @@ const {
   getNoteById,
   updateNote,
   deleteNote,
+  moveNote,
   getMyNotes,
 } = require("../controllers/noteController");
+const { bulkNoteOperations } = require("../controllers/noteBulkController");
+const {
+  exportNotes,
+  getExportJobs,
+  getExportJob,
+  downloadExport,
+} = require("../controllers/noteExportController");
+const { importNotes } = require("../controllers/noteImportController");
+const {
+  pinNote,
+  unpinNote,
+  archiveNote,
+  unarchiveNote,
+  favoriteNote,
+  unfavoriteNote,
+} = require("../controllers/noteStateController");
+const {
+  getChecklist,
+  addChecklistItem,
+  updateChecklistItem,
+  toggleChecklistItem,
+  reorderChecklist,
+  deleteChecklistItem,
+} = require("../controllers/noteChecklistController");
+const {
+  getNoteVersions,
+  getNoteVersion,
+  diffNoteVersions,
+  restoreNoteVersion,
+} = require("../controllers/noteVersionController");
+const {
+  getTrash,
+  restoreNote,
+  permanentlyDeleteNote,
+} = require("../controllers/trashController");
+const {
+  getNoteShares,
+  shareNote,
+  unshareNote,
+  getSharedWithMe,
+} = require("../controllers/noteShareController");
+const {
+  createPublicLink,
+  getPublicLinks,
+  revokePublicLink,
+} = require("../controllers/publicLinkController");
+const {
+  getNoteLinks,
+  getBacklinks,
+} = require("../controllers/noteLinkController");
+const {
+  uploadAttachment,
+  getAttachments,
+  downloadAttachment,
+  deleteAttachment,
+} = require("../controllers/attachmentController");
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  resolveComment,
+  unresolveComment,
+} = require("../controllers/commentController");
 
 const { authenticate } = require("../middleware/auth");
 const {
   requireMember,
+  requireAdmin,
   requireOwnershipOrAdmin,
 } = require("../middleware/rolePermission");
 const {
   ensureTenantIsolation,
   checkAccountStatus,
+  requireVerifiedEmail,
+  requireTwoFactor,
 } = require("../middleware/tenant");
 const { checkNoteLimit } = require("../middleware/subscriptionLimit");
+const {
+  uploadImportFiles,
+  uploadAttachmentFile,
+} = require("../middleware/upload");
+const { SHARE_PERMISSIONS } = require("../utils/constants");
 
 /**
  * All routes are protected and require authentication
@@ -27,13 +100,20 @@ const { checkNoteLimit } = require("../middleware/subscriptionLimit");
 router.use(authenticate);
 router.use(ensureTenantIsolation);
 router.use(checkAccountStatus);
+router.use(requireTwoFactor);
 
 /**
  * Notes Routes
  */
 
 // Create new note
-router.post("/", requireMember, checkNoteLimit, createNote);
+router.post(
+  "/",
+  requireMember,
+  requireVerifiedEmail,
+  checkNoteLimit,
+  createNote
+);
 
 // Get all notes for the tenant
 router.get("/", requireMember, getNotes);
@@ -41,13 +121,350 @@ router.get("/", requireMember, getNotes);
 // Get user's own notes
 router.get("/my-notes", requireMember, getMyNotes);
 
+// Get trashed notes
+router.get("/trash", requireMember, requireOwnershipOrAdmin(), getTrash);
+
+// Get notes shared with the current user
+router.get("/shared-with-me", requireMember, getSharedWithMe);
+
+// Export all notes of the tenant (Admin only)
+router.get("/export", requireAdmin, exportNotes);
+
+// Get export jobs of the tenant (Admin only)
+router.get("/export/jobs", requireAdmin, getExportJobs);
+
+// Get status of an export job (Admin only)
+router.get("/export/jobs/:jobId", requireAdmin, getExportJob);
+
+// Download a completed export (Admin only)
+router.get("/export/jobs/:jobId/download", requireAdmin, downloadExport);
+
+// Import notes from Markdown, ZIP or Evernote ENEX files
+router.post(
+  "/import",
+  requireMember,
+  requireVerifiedEmail,
+  checkNoteLimit,
+  uploadImportFiles,
+  importNotes
+);
+
+// Apply a batch of operations to several notes
+router.post(
+  "/bulk",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.EDITOR),
+  bulkNoteOperations
+);
+
 // Get specific note by ID
-router.get("/:id", requireMember, requireOwnershipOrAdmin(), getNoteById);
+router.get(
+  "/:id",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.VIEWER),
+  getNoteById
+);
 
 // Update note
-router.put("/:id", requireMember, requireOwnershipOrAdmin(), updateNote);
+router.put(
+  "/:id",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.EDITOR),
+  updateNote
+);
 
 // Delete note
 router.delete("/:id", requireMember, requireOwnershipOrAdmin(), deleteNote);
 
+// Move note to another notebook
+router.post("/:id/move", requireMember, requireOwnershipOrAdmin(), moveNote);
+
+/**
+ * Pin, Archive and Favorite Routes
+ */
+
+// Pin note for the whole tenant
+router.post("/:id/pin", requireMember, requireOwnershipOrAdmin(), pinNote);
+
+// Unpin note
+router.delete("/:id/pin", requireMember, requireOwnershipOrAdmin(), unpinNote);
+
+// Archive note
+router.post(
+  "/:id/archive",
+  requireMember,
+  requireOwnershipOrAdmin(),
+  archiveNote
+);
+
+// Unarchive note
+router.delete(
+  "/:id/archive",
+  requireMember,
+  requireOwnershipOrAdmin(),
+  unarchiveNote
+);
+
+// Add note to the current user's favorites
+router.post(
+  "/:id/favorite",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.VIEWER),
+  favoriteNote
+);
+
+// Remove note from the current user's favorites
+router.delete(
+  "/:id/favorite",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.VIEWER),
+  unfavoriteNote
+);
+
+/**
+ * Trash Routes
+ */
+
+// Restore note from trash
+router.post(
+  "/:id/restore",
+  requireMember,
+  requireOwnershipOrAdmin(),
+  checkNoteLimit,
+  restoreNote
+);
+
+// Permanently delete a trashed note
+router.delete(
+  "/:id/permanent",
+  requireMember,
+  requireOwnershipOrAdmin(),
+  permanentlyDeleteNote
+);
+
+/**
+ * Note Version History Routes
+ */
+
+// Get revision history of a note
+router.get(
+  "/:id/versions",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.VIEWER),
+  getNoteVersions
+);
+
+// Compare two revisions of a note
+router.get(
+  "/:id/versions/diff",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.VIEWER),
+  diffNoteVersions
+);
+
+// Get specific revision of a note
+router.get(
+  "/:id/versions/:version",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.VIEWER),
+  getNoteVersion
+);
+
+// Restore note to a previous revision
+router.post(
+  "/:id/versions/:version/restore",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.EDITOR),
+  restoreNoteVersion
+);
+
+/**
+ * Note Sharing Routes
+ */
+
+// Get users a note is shared with
+router.get("/:id/shares", requireMember, getNoteShares);
+
+// Share note with a user of the same account
+router.post("/:id/shares", requireMember, shareNote);
+
+// Revoke a user's access to a note
+router.delete("/:id/shares/:userId", requireMember, unshareNote);
+
+/**
+ * Public Link Routes
+ */
+
+// Get public links of a note
+router.get("/:id/public-links", requireMember, getPublicLinks);
+
+// Create public read-only link for a note
+router.post("/:id/public-link", requireMember, createPublicLink);
+
+// Revoke public link
+router.delete("/:id/public-link/:linkId", requireMember, revokePublicLink);
+
+/**
+ * Note Link Routes
+ */
+
+// Get notes a note links to
+router.get(
+  "/:id/links",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.VIEWER),
+  getNoteLinks
+);
+
+// Get notes linking to a note
+router.get(
+  "/:id/backlinks",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.VIEWER),
+  getBacklinks
+);
+
+/**
+ * Checklist Routes
+ */
+
+// Get checklist of a note
+router.get(
+  "/:id/checklist",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.VIEWER),
+  getChecklist
+);
+
+// Add checklist item
+router.post(
+  "/:id/checklist",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.EDITOR),
+  addChecklistItem
+);
+
+// Reorder checklist items
+router.put(
+  "/:id/checklist/order",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.EDITOR),
+  reorderChecklist
+);
+
+// Update checklist item
+router.put(
+  "/:id/checklist/:itemId",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.EDITOR),
+  updateChecklistItem
+);
+
+// Toggle checklist item (editors and the item's assignee)
+router.post(
+  "/:id/checklist/:itemId/toggle",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.VIEWER, (req) => [
+    { "checklist.assignee": req.user._id },
+  ]),
+  toggleChecklistItem
+);
+
+// Delete checklist item
+router.delete(
+  "/:id/checklist/:itemId",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.EDITOR),
+  deleteChecklistItem
+);
+
+/**
+ * Attachment Routes
+ */
+
+// Get attachments of a note
+router.get(
+  "/:id/attachments",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.VIEWER),
+  getAttachments
+);
+
+// Upload attachment to a note
+router.post(
+  "/:id/attachments",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.EDITOR),
+  uploadAttachmentFile,
+  uploadAttachment
+);
+
+// Download attachment
+router.get(
+  "/:id/attachments/:attachmentId",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.VIEWER),
+  downloadAttachment
+);
+
+// Delete attachment
+router.delete(
+  "/:id/attachments/:attachmentId",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.EDITOR),
+  deleteAttachment
+);
+
+/**
+ * Comment Routes
+ */
+
+// Get comments of a note
+router.get(
+  "/:id/comments",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.VIEWER),
+  getComments
+);
+
+// Add comment or reply to a note
+router.post(
+  "/:id/comments",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.COMMENTER),
+  createComment
+);
+
+// Edit comment
+router.put(
+  "/:id/comments/:commentId",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.VIEWER),
+  updateComment
+);
+
+// Delete comment
+router.delete(
+  "/:id/comments/:commentId",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.VIEWER),
+  deleteComment
+);
+
+// Resolve comment thread
+router.post(
+  "/:id/comments/:commentId/resolve",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.COMMENTER),
+  resolveComment
+);
+
+// Reopen comment thread
+router.post(
+  "/:id/comments/:commentId/unresolve",
+  requireMember,
+  requireOwnershipOrAdmin("user", SHARE_PERMISSIONS.COMMENTER),
+  unresolveComment
+);
+
 module.exports = router;
@@ -0,0 +1,39 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} = require("../controllers/notificationController");
+
+const { authenticate } = require("../middleware/auth");
+const { requireMember } = require("../middleware/rolePermission");
+const {
+  ensureTenantIsolation,
+  checkAccountStatus,
+  requireTwoFactor,
+} = require("../middleware/tenant");
+
+/**
+ * All routes are protected and require authentication
+ */
+router.use(authenticate);
+router.use(ensureTenantIsolation);
+router.use(checkAccountStatus);
+router.use(requireTwoFactor);
+
+/**
+ * Notification Routes
+ */
+
+// Get current user's notifications
+router.get("/", requireMember, getNotifications);
+
+// Mark all notifications as read
+router.post("/read-all", requireMember, markAllNotificationsRead);
+
+// Mark notification as read
+router.post("/:id/read", requireMember, markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+
+const { viewPublicNote } = require("../controllers/publicLinkController");
+
+/**
+ * Public Routes - No authentication required
+ */
+
+// View note through public link
+router.get("/notes/:token", viewPublicNote);
+
+// View password-protected note through public link (password in body)
+router.post("/notes/:token", viewPublicNote);
+
+module.exports = router;
@@ -15,6 +15,7 @@ const { requireAdmin, requireMember } = require("../middleware/rolePermission");
 const {
   ensureTenantIsolation,
   checkAccountStatus,
+  requireTwoFactor,
   validateTenantSlug,
 } = require("../middleware/tenant");
 const {
@@ -39,6 +40,7 @@ router.get(
   authenticate,
   ensureTenantIsolation,
   checkAccountStatus,
+  requireTwoFactor,
   requireMember,
   attachSubscriptionInfo,
   getSubscription
@@ -50,6 +52,7 @@ router.post(
   authenticate,
   validateTenantSlug,
   checkAccountStatus,
+  requireTwoFactor,
   requireAdmin,
   checkUpgradeEligibility,
   upgradeSubscription
@@ -61,6 +64,7 @@ router.post(
   authenticate,
   ensureTenantIsolation,
   checkAccountStatus,
+  requireTwoFactor,
   requireAdmin,
   verifyPaymentAndUpgrade
 );
@@ -71,6 +75,7 @@ router.get(
   authenticate,
   ensureTenantIsolation,
   checkAccountStatus,
+  requireTwoFactor,
   requireMember,
   getPaymentHistory
 );
@@ -81,6 +86,7 @@ router.post(
   authenticate,
   ensureTenantIsolation,
   checkAccountStatus,
+  requireTwoFactor,
   requireAdmin,
   cancelSubscription
 );
@@ -0,0 +1,47 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getTags,
+  autocompleteTags,
+  renameTag,
+  mergeTags,
+  deleteTag,
+} = require("../controllers/tagController");
+
+const { authenticate } = require("../middleware/auth");
+const { requireAdmin, requireMember } = require("../middleware/rolePermission");
+const {
+  ensureTenantIsolation,
+  checkAccountStatus,
+  requireTwoFactor,
+} = require("../middleware/tenant");
+
+/**
+ * All routes are protected and require authentication
+ */
+router.use(authenticate);
+router.use(ensureTenantIsolation);
+router.use(checkAccountStatus);
+router.use(requireTwoFactor);
+
+/**
+ * Tag Routes
+ */
+
+// Get all tags with note counts
+router.get("/", requireMember, getTags);
+
+// Suggest tags by prefix
+router.get("/autocomplete", requireMember, autocompleteTags);
+
+// Rename tag (Admin only)
+router.put("/:id", requireAdmin, renameTag);
+
+// Merge tag into another tag (Admin only)
+router.post("/:id/merge", requireAdmin, mergeTags);
+
+// Delete tag and detach it from notes (Admin only)
+router.delete("/:id", requireAdmin, deleteTag);
+
+module.exports = router;
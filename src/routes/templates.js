@@ -0,0 +1,57 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  createTemplate,
+  getTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+} = require("../controllers/templateController");
+
+const { authenticate } = require("../middleware/auth");
+const { requireAdmin, requireMember } = require("../middleware/rolePermission");
+const {
+  ensureTenantIsolation,
+  checkAccountStatus,
+  requireTwoFactor,
+} = require("../middleware/tenant");
+const {
+  validate,
+  createTemplateSchema,
+  updateTemplateSchema,
+} = require("../utils/validators");
+
+/**
+ * All routes are protected and require authentication
+ */
+router.use(authenticate);
+router.use(ensureTenantIsolation);
+router.use(checkAccountStatus);
+router.use(requireTwoFactor);
+
+/**
+ * Note Template Routes
+ */
+
+// Get all templates for the tenant
+router.get("/", requireMember, getTemplates);
+
+// Get specific template by ID
+router.get("/:id", requireMember, getTemplateById);
+
+// Create template (Admin only)
+router.post("/", requireAdmin, validate(createTemplateSchema), createTemplate);
+
+// Update template (Admin only)
+router.put(
+  "/:id",
+  requireAdmin,
+  validate(updateTemplateSchema),
+  updateTemplate
+);
+
+// Delete template (Admin only)
+router.delete("/:id", requireAdmin, deleteTemplate);
+
+module.exports = router;
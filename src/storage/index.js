@@ -0,0 +1,55 @@
+const path = require("path");
+const { STORAGE_DRIVERS } = require("../utils/constants");
+const { createLocalStorage } = require("./localStorage");
+const { createS3Storage } = require("./s3Storage");
+
+/**
+ * Storage adapters share one interface:
+ *   save(key, buffer, { contentType }) - store a file
+ *   getStream(key)                     - readable stream of a stored file
+ *   remove(key)                        - delete a file (no error if missing)
+ */
+
+const storages = new Map();
+
+/**
+ * Build a storage adapter
+ */
+const createStorage = (driver) => {
+  switch (driver) {
+    case STORAGE_DRIVERS.LOCAL:
+      return createLocalStorage({
+        root:
+          process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), "uploads"),
+      });
+    case STORAGE_DRIVERS.S3:
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+/**
+ * Get a storage adapter, by default the one selected by STORAGE_DRIVER
+ * Files stay readable through the driver they were saved with
+ */
+const getStorage = (
+  driver = process.env.STORAGE_DRIVER || STORAGE_DRIVERS.LOCAL
+) => {
+  if (!storages.has(driver)) {
+    storages.set(driver, createStorage(driver));
+  }
+  return storages.get(driver);
+};
+
+module.exports = {
+  createStorage,
+  getStorage,
+};
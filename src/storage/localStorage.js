@@ -0,0 +1,43 @@
+const fs = require("fs");
+const path = require("path");
+const { STORAGE_DRIVERS } = require("../utils/constants");
+
+/**
+ * Create a storage adapter keeping files on the local filesystem
+ */
+const createLocalStorage = ({ root }) => {
+  const rootDir = path.resolve(root);
+
+  // Keys must never point outside the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  };
+
+  return {
+    driver: STORAGE_DRIVERS.LOCAL,
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+module.exports = {
+  createLocalStorage,
+};
@@ -0,0 +1,64 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { STORAGE_DRIVERS } = require("../utils/constants");
+
+/**
+ * Create a storage adapter for S3 or any S3-compatible service
+ * (MinIO, LocalStack, ...) when an endpoint is given
+ */
+const createS3Storage = ({
+  bucket,
+  region,
+  endpoint,
+  forcePathStyle,
+  accessKeyId,
+  secretAccessKey,
+}) => {
+  if (!bucket) {
+    throw new Error("S3 storage requires a bucket");
+  }
+
+  const client = new S3Client({
+    region: region || "us-east-1",
+    endpoint: endpoint || undefined,
+    forcePathStyle: !!forcePathStyle,
+    credentials:
+      accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined,
+  });
+
+  return {
+    driver: STORAGE_DRIVERS.S3,
+
+    async save(key, buffer, { contentType } = {}) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+    },
+
+    async getStream(key) {
+      const { Body } = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return Body;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+module.exports = {
+  createS3Storage,
+};
@@ -0,0 +1,39 @@
+const MAX_CHECKLIST_ITEMS = 200;
+const MAX_CHECKLIST_TEXT_LENGTH = 500;
+
+/**
+ * Format a checklist item for API responses
+ */
+const formatChecklistItem = (item) => ({
+  id: item._id,
+  text: item.text,
+  checked: item.checked,
+  order: item.order,
+  assignee: item.assignee,
+  checkedAt: item.checkedAt,
+  checkedBy: item.checkedBy,
+  createdBy: item.createdBy,
+  createdAt: item.createdAt,
+  updatedAt: item.updatedAt,
+});
+
+/**
+ * Check the text of a checklist item, returns an error message or null
+ */
+const validateChecklistText = (text) => {
+  if (typeof text !== "string" || !text.trim()) {
+    return "Item text is required";
+  }
+
+  if (text.trim().length > MAX_CHECKLIST_TEXT_LENGTH) {
+    return `Item text must not exceed ${MAX_CHECKLIST_TEXT_LENGTH} characters`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  MAX_CHECKLIST_ITEMS,
+  formatChecklistItem,
+  validateChecklistText,
+};
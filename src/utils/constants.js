@@ -6,9 +6,17 @@ const SUBSCRIPTION_PLANS = {
 const SUBSCRIPTION_LIMITS = {
   [SUBSCRIPTION_PLANS.FREE]: {
     maxNotes: 3,
+    maxVersions: 10, // Revisions kept per note
+    maxBulkOperations: 25, // Operations per bulk request
+    maxStorage: 50 * 1024 * 1024, // Attachment bytes per account (50MB)
+    maxAttachmentSize: 5 * 1024 * 1024, // 5MB
   },
   [SUBSCRIPTION_PLANS.PRO]: {
     maxNotes: -1, // -1 means unlimited
+    maxVersions: 100,
+    maxBulkOperations: 500,
+    maxStorage: 10 * 1024 * 1024 * 1024, // 10GB
+    maxAttachmentSize: 25 * 1024 * 1024, // 25MB
   },
 };
 
@@ -34,6 +42,141 @@ const PERMISSIONS = {
   ],
 };
 
+// Ordered from least to most privileged
+const SHARE_PERMISSIONS = {
+  VIEWER: "viewer",
+  COMMENTER: "commenter",
+  EDITOR: "editor",
+};
+
+const NOTIFICATION_TYPES = {
+  MENTION: "mention",
+  REMINDER: "reminder",
+};
+
+// Sort options of note listings
+const NOTE_SORT_FIELDS = {
+  RELEVANCE: "relevance",
+  UPDATED_AT: "updatedAt",
+  CREATED_AT: "createdAt",
+  TITLE: "title",
+};
+
+// Due date windows for note listings, days are UTC
+const NOTE_DUE_FILTERS = {
+  OVERDUE: "overdue",
+  TODAY: "today",
+  WEEK: "week",
+};
+
+const NOTE_EVENT_TYPES = {
+  CREATED: "created",
+  UPDATED: "updated",
+  DELETED: "deleted",
+  RESTORED: "restored",
+};
+
+const BULK_NOTE_ACTIONS = {
+  DELETE: "delete",
+  ADD_TAGS: "addTags",
+  REMOVE_TAGS: "removeTags",
+  REPLACE_TAGS: "replaceTags",
+  CHANGE_OWNER: "changeOwner",
+};
+
+const EXPORT_FORMATS = {
+  MARKDOWN: "markdown",
+  JSON: "json",
+};
+
+const EXPORT_JOB_STATUS = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+const IMPORT_ITEM_STATUS = {
+  IMPORTED: "imported",
+  SKIPPED: "skipped",
+  FAILED: "failed",
+};
+
+const ATTACHMENT_MIME_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "text/markdown",
+  "text/csv",
+  "application/zip",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+];
+
+const STORAGE_DRIVERS = {
+  LOCAL: "local",
+  S3: "s3",
+};
+
+const MAIL_DRIVERS = {
+  OUTBOX: "outbox",
+  SMTP: "smtp",
+};
+
+const INVITATION_STATUS = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  REVOKED: "revoked",
+  EXPIRED: "expired",
+};
+
+const NOTE_FORMATS = {
+  PLAIN: "plain",
+  MARKDOWN: "markdown",
+};
+
+const NOTE_VERSIONED_FIELDS = ["title", "description", "tags"];
+
+const NOTEBOOK_DELETE_MODES = {
+  MOVE: "move",
+  TRASH: "trash",
+};
+
+// What an unverified email address blocks
+const EMAIL_VERIFICATION_POLICIES = {
+  NONE: "none",
+  NOTES: "notes", // Creating notes
+  LOGIN: "login", // Logging in (and so everything else)
+};
+
+const DEFAULT_ACCOUNT_SETTINGS = {
+  trashRetentionDays: 30,
+  publicLinksEnabled: true,
+  countArchivedNotes: true,
+  emailVerificationPolicy: EMAIL_VERIFICATION_POLICIES.NONE,
+  requireTwoFactor: false,
+};
+
+// Why a device session was signed out
+const SESSION_REVOKE_REASONS = {
+  LOGOUT: "logout",
+  REVOKED: "revoked",
+  REUSE_DETECTED: "reuse_detected",
+  PASSWORD_CHANGED: "password_changed",
+  PASSWORD_RESET: "password_reset",
+  TOKENS_INVALIDATED: "tokens_invalidated",
+  USER_INACTIVE: "user_inactive",
+  TWO_FACTOR_ENABLED: "two_factor_enabled",
+  RECOVERY_CODES_REGENERATED: "recovery_codes_regenerated",
+};
+
 const PAYMENT_STATUS = {
   PENDING: "pending",
   SUCCESS: "success",
@@ -53,6 +196,25 @@ module.exports = {
   SUBSCRIPTION_LIMITS,
   ROLES,
   PERMISSIONS,
+  SHARE_PERMISSIONS,
+  NOTIFICATION_TYPES,
+  NOTE_DUE_FILTERS,
+  NOTE_SORT_FIELDS,
+  NOTE_EVENT_TYPES,
+  BULK_NOTE_ACTIONS,
+  EXPORT_FORMATS,
+  EXPORT_JOB_STATUS,
+  IMPORT_ITEM_STATUS,
+  ATTACHMENT_MIME_TYPES,
+  STORAGE_DRIVERS,
+  MAIL_DRIVERS,
+  INVITATION_STATUS,
+  NOTE_FORMATS,
+  NOTE_VERSIONED_FIELDS,
+  NOTEBOOK_DELETE_MODES,
+  EMAIL_VERIFICATION_POLICIES,
+  DEFAULT_ACCOUNT_SETTINGS,
+  SESSION_REVOKE_REASONS,
   PAYMENT_STATUS,
   INVOICE_STATUS,
 };
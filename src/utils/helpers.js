@@ -1,6 +1,8 @@
+const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const slugify = require("slugify");
+const { SHARE_PERMISSIONS } = require("./constants");
 
 /**
  * Hash password using bcrypt
@@ -18,12 +20,13 @@ const comparePassword = async (password, hash) => {
 };
 
 /**
- * Generate JWT token
+ * Generate a JWT, by default a short-lived access token
  */
-const generateToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "7d",
-  });
+const generateToken = (
+  payload,
+  expiresIn = process.env.JWT_EXPIRE || "15m"
+) => {
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
 };
 
 /**
@@ -63,6 +66,57 @@ const generateRandomString = (length = 8) => {
   return result;
 };
 
+/**
+ * Generate an unguessable URL-safe token
+ */
+const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString("base64url");
+};
+
+/**
+ * Hash a token for storage (tokens are looked up by their hash)
+ */
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+/**
+ * Build a link from the base URL in an environment variable
+ * Only configuration is trusted, the Host header of a request can be spoofed
+ * to point tokens at another site, so a missing value is an error
+ */
+const buildConfiguredUrl = (envName, pathname) => {
+  const baseUrl = process.env[envName];
+
+  if (!baseUrl || !/^https?:\/\//.test(baseUrl)) {
+    throw new Error(`${envName} must be set to build links`);
+  }
+
+  return `${baseUrl.replace(/\/+$/, "")}${pathname}`;
+};
+
+/**
+ * Build a link to the web app for emails
+ */
+const buildAppUrl = (pathname) => buildConfiguredUrl("FRONTEND_URL", pathname);
+
+/**
+ * Build a link to this API, e.g. for public note links
+ */
+const buildApiUrl = (pathname) => buildConfiguredUrl("API_URL", pathname);
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+const escapeHtml = (text = "") => {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
+
 const formatPasswordFromName = (name) => {
   const noSpaces = name.replace(/\s+/g, ""); // remove all spaces
   const formatted =
@@ -70,6 +124,29 @@ const formatPasswordFromName = (name) => {
   return `${formatted}@@`;
 };
 
+/**
+ * Get share permissions granting at least the given level
+ */
+const getPermissionsAtLeast = (permission) => {
+  const levels = Object.values(SHARE_PERMISSIONS);
+  return levels.slice(levels.indexOf(permission));
+};
+
+/**
+ * Check an If-Match / If-None-Match header value against an entity tag
+ * Weak validators (W/"...") are compared by their opaque value
+ */
+const matchesETag = (headerValue, etag) => {
+  if (!headerValue) return false;
+  if (headerValue.trim() === "*") return true;
+
+  const stripWeak = (tag) => tag.trim().replace(/^W\//, "");
+
+  return headerValue
+    .split(",")
+    .some((tag) => stripWeak(tag) === stripWeak(etag));
+};
+
 /**
  * Send standardized API response
  */
@@ -101,7 +178,14 @@ module.exports = {
   verifyToken,
   generateSlug,
   generateRandomString,
+  generateSecureToken,
+  hashToken,
+  buildAppUrl,
+  buildApiUrl,
+  escapeHtml,
   sendResponse,
   sendError,
   formatPasswordFromName,
+  getPermissionsAtLeast,
+  matchesETag,
 };
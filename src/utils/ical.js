@@ -0,0 +1,113 @@
+const PRODUCT_ID = "-//SaaS Notes//Notes Calendar//EN";
+const MAX_LINE_OCTETS = 75;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+const escapeText = (text = "") =>
+  String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Format a date as a UTC DATE-TIME value, e.g. 20240131T090000Z
+ */
+const formatDateTime = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+/**
+ * Fold a content line to at most 75 octets (RFC 5545 section 3.1)
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = " ";
+      size = 1;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n");
+};
+
+/**
+ * Build the VEVENT lines of a note with a due date
+ */
+const buildEvent = (note, host) => {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${note._id}@${host}`,
+    `DTSTAMP:${formatDateTime(note.updatedAt)}`,
+    `DTSTART:${formatDateTime(note.dueAt)}`,
+    `SUMMARY:${escapeText(note.title)}`,
+  ];
+
+  if (note.description) {
+    lines.push(
+      `DESCRIPTION:${escapeText(
+        note.description.slice(0, MAX_DESCRIPTION_LENGTH)
+      )}`
+    );
+  }
+
+  lines.push(`LAST-MODIFIED:${formatDateTime(note.updatedAt)}`);
+
+  if (note.remindAt) {
+    lines.push(
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeText(note.title)}`,
+      `TRIGGER;VALUE=DATE-TIME:${formatDateTime(note.remindAt)}`,
+      "END:VALARM"
+    );
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+/**
+ * Build an iCalendar document with one event per due note
+ */
+const buildCalendar = (notes, { name, host = "notes" } = {}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  for (const note of notes) {
+    lines.push(...buildEvent(note, host));
+  }
+
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildCalendar,
+};
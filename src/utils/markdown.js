@@ -0,0 +1,96 @@
+const { marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+const { NOTE_FORMATS } = require("./constants");
+const { escapeHtml } = require("./helpers");
+
+// Anything not listed here is stripped, including scripts, styles,
+// iframes, forms, event handler attributes and inline styles
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "p",
+    "br",
+    "hr",
+    "strong",
+    "em",
+    "del",
+    "s",
+    "code",
+    "pre",
+    "blockquote",
+    "ul",
+    "ol",
+    "li",
+    "a",
+    "img",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "rel", "target"],
+    img: ["src", "alt", "title"],
+    ol: ["start"],
+    th: ["align"],
+    td: ["align"],
+  },
+  allowedClasses: {
+    code: ["language-*"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: {
+    img: ["http", "https"],
+  },
+  allowProtocolRelative: false,
+  // Links never pass referrer or authority to the target
+  transformTags: {
+    a: sanitizeHtml.simpleTransform(
+      "a",
+      { rel: "nofollow noopener noreferrer", target: "_blank" },
+      true
+    ),
+  },
+};
+
+/**
+ * Sanitize untrusted HTML with the note allowlist
+ */
+const sanitizeNoteHtml = (html) => sanitizeHtml(html, SANITIZE_OPTIONS);
+
+/**
+ * Render plain text as HTML paragraphs
+ */
+const renderPlainText = (text) =>
+  text
+    .split(/\n{2,}/)
+    .filter((paragraph) => paragraph.trim())
+    .map(
+      (paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`
+    )
+    .join("\n");
+
+/**
+ * Render a note description as sanitized HTML
+ */
+const renderDescription = (description, format = NOTE_FORMATS.PLAIN) => {
+  const text = description || "";
+
+  if (format === NOTE_FORMATS.MARKDOWN) {
+    return sanitizeNoteHtml(marked.parse(text, { gfm: true, async: false }));
+  }
+
+  return renderPlainText(text);
+};
+
+module.exports = {
+  sanitizeNoteHtml,
+  renderDescription,
+};
@@ -0,0 +1,49 @@
+/**
+ * @mention parsing for comments
+ *
+ * A mention is "@" followed by a handle made of letters, digits, dots,
+ * dashes and underscores. A handle matches a user when it equals the user's
+ * name without spaces or the local part of the user's email, ignoring case
+ * (so "Jane Doe" can be mentioned as @janedoe, and jane.doe@acme.io as
+ * @jane.doe).
+ */
+
+const MENTION_PATTERN = /(^|[^\w@])@([\w.-]*\w)/g;
+
+/**
+ * Normalize a handle or name for comparison
+ */
+const normalizeHandle = (value = "") => value.replace(/\s+/g, "").toLowerCase();
+
+/**
+ * Extract unique handles mentioned in a text
+ */
+const parseMentions = (text = "") => {
+  const handles = new Set();
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    handles.add(normalizeHandle(match[2]));
+  }
+
+  return [...handles];
+};
+
+/**
+ * Resolve handles to users from a list of candidates
+ */
+const resolveMentions = (handles, users) => {
+  if (handles.length === 0) return [];
+
+  const wanted = new Set(handles);
+
+  return users.filter(
+    (user) =>
+      wanted.has(normalizeHandle(user.name)) ||
+      wanted.has(normalizeHandle(user.email.split("@")[0]))
+  );
+};
+
+module.exports = {
+  parseMentions,
+  resolveMentions,
+};
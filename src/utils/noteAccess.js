@@ -0,0 +1,19 @@
+const Note = require("../models/Note");
+
+/**
+ * Find the note of req.params.id the current user can access, within the
+ * tenant filter set up by the route's ownership middleware
+ */
+const findAccessibleNote = (req) => {
+  const tenantFilter = req.tenantFilter || {};
+
+  return Note.findOne({
+    _id: req.params.id,
+    ...tenantFilter,
+    isDeleted: false,
+  });
+};
+
+module.exports = {
+  findAccessibleNote,
+};
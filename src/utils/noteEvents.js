@@ -0,0 +1,58 @@
+const { EventEmitter } = require("events");
+const NoteEvent = require("../models/NoteEvent");
+const { ROLES } = require("./constants");
+
+// In-process bus feeding the SSE streams of this server instance
+const noteEventBus = new EventEmitter();
+noteEventBus.setMaxListeners(0);
+
+/**
+ * Persist a note event and push it to connected clients
+ * Failures are logged and never break the request that caused the event
+ */
+const publishNoteEvent = async (type, note, actor) => {
+  try {
+    const event = await NoteEvent.create({
+      account: note.account._id || note.account,
+      note: note._id,
+      type,
+      actor: actor._id,
+      owner: note.user._id || note.user,
+      shares: note.shares.map((share) => ({
+        user: share.user._id || share.user,
+        permission: share.permission,
+      })),
+      data: {
+        title: note.title,
+        version: note.version,
+        actor: { id: actor._id, name: actor.name },
+      },
+    });
+
+    noteEventBus.emit("event", event);
+    return event;
+  } catch (error) {
+    console.error("Publish note event error:", error);
+    return null;
+  }
+};
+
+/**
+ * Check whether a user may see an event, mirroring the
+ * requireOwnershipOrAdmin rules for reading notes
+ */
+const canSeeEvent = (user, event) => {
+  if (event.account.toString() !== user.account._id.toString()) return false;
+  if (user.role.roleName === ROLES.ADMIN) return true;
+  if (event.owner.toString() === user._id.toString()) return true;
+
+  return event.shares.some(
+    (share) => share.user.toString() === user._id.toString()
+  );
+};
+
+module.exports = {
+  noteEventBus,
+  publishNoteEvent,
+  canSeeEvent,
+};
@@ -0,0 +1,202 @@
+const { once } = require("events");
+const archiver = require("archiver");
+const slugify = require("slugify");
+const Note = require("../models/Note");
+const { EXPORT_FORMATS } = require("./constants");
+
+/**
+ * Open a cursor over the notes matching an export query
+ */
+const findExportNotes = (query) =>
+  Note.find(query)
+    .populate("tags")
+    .populate("user", "name email")
+    .populate("notebook", "name")
+    .sort({ createdAt: 1 })
+    .cursor();
+
+/**
+ * Format a note for JSON exports
+ */
+const formatExportNote = (note) => ({
+  id: note._id,
+  title: note.title,
+  description: note.description,
+  format: note.format,
+  tags: note.tags.map((tag) => tag.tagName),
+  notebook: note.notebook ? note.notebook.name : null,
+  author: note.user ? { name: note.user.name, email: note.user.email } : null,
+  version: note.version,
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt,
+});
+
+/**
+ * Quote a value as a YAML scalar
+ * JSON strings are valid double-quoted YAML scalars
+ */
+const toYamlValue = (value) =>
+  value === null || value === undefined ? "null" : JSON.stringify(value);
+
+/**
+ * Render a note as Markdown with YAML front matter
+ */
+const toMarkdown = (note) => {
+  const data = formatExportNote(note);
+
+  const frontMatter = [
+    "---",
+    `id: ${toYamlValue(data.id.toString())}`,
+    `title: ${toYamlValue(data.title)}`,
+    `format: ${toYamlValue(data.format)}`,
+    `author: ${toYamlValue(data.author && data.author.name)}`,
+    `authorEmail: ${toYamlValue(data.author && data.author.email)}`,
+    `notebook: ${toYamlValue(data.notebook)}`,
+    `tags: [${data.tags.map(toYamlValue).join(", ")}]`,
+    `createdAt: ${data.createdAt.toISOString()}`,
+    `updatedAt: ${data.updatedAt.toISOString()}`,
+    "---",
+  ].join("\n");
+
+  return `${frontMatter}\n\n${data.description || ""}\n`;
+};
+
+/**
+ * Build a unique, filesystem safe file name for a note
+ */
+const getMarkdownFileName = (note) => {
+  const slug = slugify(note.title, { lower: true, strict: true }) || "note";
+  return `${slug.slice(0, 80)}-${note._id}.md`;
+};
+
+/**
+ * Build the download file name of an export
+ */
+const getExportFileName = (format, date = new Date()) => {
+  const day = date.toISOString().slice(0, 10);
+  return format === EXPORT_FORMATS.JSON
+    ? `notes-export-${day}.json`
+    : `notes-export-${day}.zip`;
+};
+
+/**
+ * Get the content type of an export
+ */
+const getExportContentType = (format) =>
+  format === EXPORT_FORMATS.JSON ? "application/json" : "application/zip";
+
+/**
+ * Settle with a promise, or reject once the signal aborts
+ */
+const untilAborted = (promise, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      return reject(signal.reason);
+    }
+
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+
+/**
+ * Write pieces of a JSON document, respecting backpressure
+ */
+const writeChunk = async (output, chunk, signal) => {
+  if (!output.write(chunk)) {
+    await once(output, "drain", { signal });
+  }
+};
+
+/**
+ * Stream notes as a ZIP of Markdown files
+ */
+const writeMarkdownZip = async (cursor, output, signal) => {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  let count = 0;
+
+  archive.on("warning", (error) => {
+    console.error("Export archive warning:", error);
+  });
+  archive.pipe(output);
+
+  try {
+    for await (const note of cursor) {
+      // Wait for each entry to be written so notes are not all queued
+      const written = once(archive, "entry", { signal });
+      archive.append(toMarkdown(note), {
+        name: getMarkdownFileName(note),
+        date: note.updatedAt,
+      });
+      await written;
+      count += 1;
+    }
+
+    await untilAborted(archive.finalize(), signal);
+  } catch (error) {
+    archive.abort();
+    throw error;
+  }
+
+  return count;
+};
+
+/**
+ * Stream notes as a single JSON document
+ */
+const writeJsonDocument = async (cursor, output, meta, signal) => {
+  let count = 0;
+
+  await writeChunk(
+    output,
+    `{"exportedAt":${JSON.stringify(new Date())},"account":${JSON.stringify(
+      meta.account
+    )},"notes":[`,
+    signal
+  );
+
+  for await (const note of cursor) {
+    await writeChunk(
+      output,
+      `${count > 0 ? "," : ""}${JSON.stringify(formatExportNote(note))}`,
+      signal
+    );
+    count += 1;
+  }
+
+  output.end(`],"total":${count}}`);
+  return count;
+};
+
+/**
+ * Write every note matching a query to an output stream
+ * Resolves with the number of exported notes; the output is ended
+ * Rejects when the output closes early, e.g. a download is cancelled
+ */
+const writeNotesExport = async (format, query, output, meta) => {
+  const cursor = findExportNotes(query);
+  const controller = new AbortController();
+  const onClose = () => {
+    controller.abort(new Error("Export output closed before completion"));
+  };
+  output.once("close", onClose);
+
+  try {
+    return format === EXPORT_FORMATS.JSON
+      ? await writeJsonDocument(cursor, output, meta, controller.signal)
+      : await writeMarkdownZip(cursor, output, controller.signal);
+  } finally {
+    output.off("close", onClose);
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  toMarkdown,
+  getExportFileName,
+  getExportContentType,
+  writeNotesExport,
+};
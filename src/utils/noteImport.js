@@ -0,0 +1,224 @@
+const path = require("path");
+const AdmZip = require("adm-zip");
+const matter = require("gray-matter");
+const { XMLParser } = require("fast-xml-parser");
+const { NOTE_FORMATS } = require("./constants");
+
+const MARKDOWN_EXTENSIONS = [".md", ".markdown"];
+const ZIP_EXTENSIONS = [".zip"];
+const ENEX_EXTENSIONS = [".enex"];
+
+const MAX_ZIP_ENTRIES = 1000;
+const MAX_ZIP_SIZE = 50 * 1024 * 1024; // 50MB uncompressed
+const MAX_TITLE_LENGTH = 200;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+const disabledEngine = () => {
+  throw new Error("Front matter language not supported");
+};
+
+// Only YAML and JSON front matter, never executable JavaScript
+const MATTER_OPTIONS = {
+  engines: { js: disabledEngine, javascript: disabledEngine },
+};
+
+const enexParser = new XMLParser({
+  ignoreAttributes: true,
+  parseTagValue: false,
+  isArray: (name) => name === "note" || name === "tag",
+});
+
+/**
+ * Get the lowercase extension of a file name
+ */
+const getExtension = (fileName) => path.extname(fileName).toLowerCase();
+
+/**
+ * Check whether a file type can be imported
+ */
+const isSupportedImportFile = (fileName) =>
+  [...MARKDOWN_EXTENSIONS, ...ZIP_EXTENSIONS, ...ENEX_EXTENSIONS].includes(
+    getExtension(fileName)
+  );
+
+/**
+ * Normalize tags from front matter or ENEX into valid tag names
+ */
+const normalizeTags = (tags) => {
+  if (!tags) return [];
+
+  const tagList = Array.isArray(tags) ? tags : String(tags).split(",");
+
+  return [
+    ...new Set(
+      tagList
+        .map((tag) => String(tag).toLowerCase().trim())
+        .filter((tag) => tag && tag.length <= MAX_TAG_LENGTH)
+    ),
+  ].slice(0, MAX_TAGS);
+};
+
+/**
+ * Build a note from a Markdown document with optional YAML front matter
+ * Title comes from front matter, then a leading "# " heading, then the file name
+ */
+const parseMarkdown = (fileName, content) => {
+  const { data, content: body } = matter(content, MATTER_OPTIONS);
+
+  let title = typeof data.title === "string" ? data.title.trim() : "";
+  let description = body.trim();
+
+  if (!title) {
+    const heading = description.match(/^#\s+(.+)$/m);
+    if (heading && description.startsWith(heading[0])) {
+      title = heading[1].trim();
+      description = description.slice(heading[0].length).trim();
+    }
+  }
+
+  if (!title) {
+    title = path.basename(fileName, path.extname(fileName));
+  }
+
+  return {
+    title: title.slice(0, MAX_TITLE_LENGTH),
+    description,
+    format: NOTE_FORMATS.MARKDOWN,
+    tags: normalizeTags(data.tags),
+  };
+};
+
+/**
+ * Decode the HTML entities found in Evernote markup
+ */
+const decodeEntities = (text) =>
+  text
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(code))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) =>
+      String.fromCodePoint(parseInt(code, 16))
+    )
+    .replace(/&amp;/g, "&");
+
+/**
+ * Convert Evernote ENML markup to plain text
+ */
+const enmlToText = (enml) =>
+  decodeEntities(
+    enml
+      .replace(/<\?xml[^>]*\?>|<!DOCTYPE[^>]*>/gi, "")
+      .replace(/<en-todo[^>]*checked="true"[^>]*\/?>/gi, "[x] ")
+      .replace(/<en-todo[^>]*\/?>/gi, "[ ] ")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<li[^>]*>/gi, "- ")
+      .replace(/<\/(div|p|h[1-6]|li|tr|blockquote|pre)>/gi, "\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * Build notes from an Evernote ENEX export
+ */
+const parseEnex = (content) => {
+  const document = enexParser.parse(content);
+  const exported = document["en-export"];
+
+  if (!exported) {
+    throw new Error("Not an Evernote export file");
+  }
+
+  return (exported.note || []).map((note, index) => {
+    const title = String(note.title || "").trim();
+
+    return {
+      name: title || `Note ${index + 1}`,
+      note: {
+        title: (title || "Untitled").slice(0, MAX_TITLE_LENGTH),
+        description: enmlToText(String(note.content || "")),
+        format: NOTE_FORMATS.PLAIN,
+        tags: normalizeTags(note.tag),
+      },
+    };
+  });
+};
+
+/**
+ * Build notes from a ZIP archive of Markdown files
+ * Entries that are not Markdown are reported as skipped
+ */
+const parseZip = (buffer) => {
+  const zip = new AdmZip(buffer);
+  const entries = zip.getEntries().filter((entry) => !entry.isDirectory);
+
+  // Guard against archive bombs before extracting anything
+  const totalSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (entries.length > MAX_ZIP_ENTRIES || totalSize > MAX_ZIP_SIZE) {
+    throw new Error(
+      `Archive must contain at most ${MAX_ZIP_ENTRIES} files and 50MB of data`
+    );
+  }
+
+  return entries
+    .filter(
+      (entry) =>
+        !entry.entryName.startsWith("__MACOSX/") &&
+        !path.basename(entry.entryName).startsWith(".")
+    )
+    .map((entry) => {
+      if (!MARKDOWN_EXTENSIONS.includes(getExtension(entry.entryName))) {
+        return { name: entry.entryName, skipped: "Unsupported file type" };
+      }
+
+      try {
+        return {
+          name: entry.entryName,
+          note: parseMarkdown(
+            entry.entryName,
+            entry.getData().toString("utf8")
+          ),
+        };
+      } catch (error) {
+        return { name: entry.entryName, error: "Invalid Markdown file" };
+      }
+    });
+};
+
+/**
+ * Extract the notes contained in an uploaded file
+ * Returns one entry per note: { name, note } or { name, skipped|error }
+ */
+const parseImportFile = (file) => {
+  const extension = getExtension(file.originalname);
+
+  if (MARKDOWN_EXTENSIONS.includes(extension)) {
+    return [
+      {
+        name: file.originalname,
+        note: parseMarkdown(file.originalname, file.buffer.toString("utf8")),
+      },
+    ];
+  }
+
+  if (ZIP_EXTENSIONS.includes(extension)) {
+    return parseZip(file.buffer);
+  }
+
+  if (ENEX_EXTENSIONS.includes(extension)) {
+    return parseEnex(file.buffer.toString("utf8"));
+  }
+
+  throw new Error("Unsupported file type");
+};
+
+module.exports = {
+  isSupportedImportFile,
+  parseMarkdown,
+  parseImportFile,
+};
@@ -0,0 +1,239 @@
+const mongoose = require("mongoose");
+const Tag = require("../models/Tag");
+const { NOTE_DUE_FILTERS, NOTE_SORT_FIELDS } = require("./constants");
+const { buildSearchConditions } = require("./searchQuery");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a notebook filter value (a notebook ID or "none")
+ */
+const isValidNotebookFilter = (notebook) =>
+  notebook === "none" || mongoose.isValidObjectId(notebook);
+
+/**
+ * Build the dueAt condition of a due filter
+ * today and week start at midnight UTC, overdue is anything due before now
+ */
+const buildDueFilter = (due, now = new Date()) => {
+  const startOfDay = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate()
+  );
+
+  switch (due) {
+    case NOTE_DUE_FILTERS.OVERDUE:
+      return { $lt: now };
+    case NOTE_DUE_FILTERS.TODAY:
+      return {
+        $gte: new Date(startOfDay),
+        $lt: new Date(startOfDay + DAY_IN_MS),
+      };
+    case NOTE_DUE_FILTERS.WEEK:
+      return {
+        $gte: new Date(startOfDay),
+        $lt: new Date(startOfDay + 7 * DAY_IN_MS),
+      };
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Check the pinned, archived, favorite, due and assigned filters
+ * Returns an error message or null
+ */
+const validateNoteStateFilters = ({
+  pinned,
+  archived,
+  favorite,
+  due,
+  assigned,
+}) => {
+  const isFlag = (value) =>
+    value === undefined || value === "true" || value === "false";
+
+  if (!isFlag(pinned)) {
+    return "Pinned filter must be true or false";
+  }
+
+  if (!isFlag(archived) && archived !== "all") {
+    return "Archived filter must be true, false or all";
+  }
+
+  if (!isFlag(favorite)) {
+    return "Favorite filter must be true or false";
+  }
+
+  if (due !== undefined && !Object.values(NOTE_DUE_FILTERS).includes(due)) {
+    return "Due filter must be overdue, today or week";
+  }
+
+  if (assigned !== undefined && assigned !== "me") {
+    return "Assigned filter must be me";
+  }
+
+  return null;
+};
+
+/**
+ * Add pinned, archived, favorite, due and assigned filters to a notes query
+ * Notes created before these flags existed have no value, hence $ne
+ * assigned=me keeps notes with open checklist items assigned to the user
+ */
+const applyNoteStateFilters = (
+  query,
+  { pinned, archived, favorite, due, assigned, userId }
+) => {
+  if (pinned !== undefined) {
+    query.isPinned = pinned === "true" ? true : { $ne: true };
+  }
+
+  if (archived !== undefined && archived !== "all") {
+    query.isArchived = archived === "true" ? true : { $ne: true };
+  }
+
+  if (favorite !== undefined) {
+    query.favoritedBy = favorite === "true" ? userId : { $ne: userId };
+  }
+
+  if (due !== undefined) {
+    query.dueAt = buildDueFilter(due);
+  }
+
+  if (assigned === "me") {
+    query.checklist = { $elemMatch: { assignee: userId, checked: false } };
+  }
+
+  return query;
+};
+
+/**
+ * Build the notes query shared by note listing and export
+ * Adds search, notebook, tag and state filters to a tenant filter
+ * searchQuery is the result of parseSearchQuery for ?q=
+ */
+const buildNoteQuery = async (
+  tenantFilter,
+  accountId,
+  {
+    search,
+    tags,
+    notebook,
+    pinned,
+    archived,
+    favorite,
+    due,
+    assigned,
+    searchQuery,
+    userId,
+  } = {}
+) => {
+  const query = {
+    ...tenantFilter,
+    isDeleted: false,
+  };
+
+  applyNoteStateFilters(query, {
+    pinned,
+    archived,
+    favorite,
+    due,
+    assigned,
+    userId,
+  });
+
+  let textSearch = search || "";
+
+  // Add the filters of the search query language
+  if (searchQuery) {
+    const { conditions, textSearch: queryText } = await buildSearchConditions(
+      searchQuery,
+      accountId,
+      userId
+    );
+
+    if (conditions.length > 0) {
+      query.$and = conditions;
+    }
+    textSearch = [textSearch, queryText].filter(Boolean).join(" ");
+  }
+
+  // Add text search if provided
+  if (textSearch) {
+    query.$text = { $search: textSearch };
+  }
+
+  // Add notebook filter if provided ("none" for notes outside any notebook)
+  if (notebook) {
+    query.notebook = notebook === "none" ? null : notebook;
+  }
+
+  // Add tag filter if provided
+  if (tags && tags.length > 0) {
+    const tagNames = typeof tags === "string" ? tags.split(",") : tags;
+
+    const tagObjects = await Tag.find({
+      account: accountId,
+      tagName: { $in: tagNames.map((tag) => tag.toLowerCase()) },
+    });
+
+    if (tagObjects.length > 0) {
+      query.tags = { $in: tagObjects.map((tag) => tag._id) };
+    } else {
+      // if you want NO results when tags don't exist:
+      query.tags = { $in: [] };
+    }
+  }
+
+  return query;
+};
+
+/**
+ * Build the sort of a notes listing
+ * Without an explicit sort pinned notes come first, then the newest (or the
+ * soonest due with a due filter); text searches add relevance as a tie-break
+ * Returns { sort } or { error }
+ */
+const buildNoteSort = ({ sort, order, due, hasTextSearch }) => {
+  if (sort === undefined) {
+    return {
+      sort: {
+        isPinned: -1,
+        ...(due ? { dueAt: 1 } : { createdAt: -1 }),
+        ...(hasTextSearch ? { score: { $meta: "textScore" } } : {}),
+      },
+    };
+  }
+
+  if (!Object.values(NOTE_SORT_FIELDS).includes(sort)) {
+    return { error: "Sort must be relevance, updatedAt, createdAt or title" };
+  }
+
+  if (order !== undefined && order !== "asc" && order !== "desc") {
+    return { error: "Order must be asc or desc" };
+  }
+
+  if (sort === NOTE_SORT_FIELDS.RELEVANCE) {
+    if (!hasTextSearch) {
+      return { error: "Relevance sort requires search terms" };
+    }
+    return { sort: { score: { $meta: "textScore" }, _id: 1 } };
+  }
+
+  // Titles read A-Z by default, dates newest first
+  const defaultOrder = sort === NOTE_SORT_FIELDS.TITLE ? "asc" : "desc";
+  const direction = (order || defaultOrder) === "asc" ? 1 : -1;
+
+  return { sort: { [sort]: direction, _id: direction } };
+};
+
+module.exports = {
+  isValidNotebookFilter,
+  buildDueFilter,
+  validateNoteStateFilters,
+  applyNoteStateFilters,
+  buildNoteQuery,
+  buildNoteSort,
+};
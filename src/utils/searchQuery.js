@@ -0,0 +1,427 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Tag = require("../models/Tag");
+const Notebook = require("../models/Notebook");
+const { escapeHtml } = require("./helpers");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const MAX_QUERY_LENGTH = 500;
+const SNIPPET_RADIUS = 60;
+
+const SEARCH_FIELDS = ["author", "tag", "created", "updated", "notebook"];
+
+// -field:"quoted value", field:value, "phrase" or word
+const TOKEN_PATTERN = /(-?)(?:([A-Za-z]+):)?(?:"([^"]*)"|(\S+))/g;
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const RANGE_PATTERN = /^(>=|<=|>|<)?(.+)$/;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Split a search query into tokens
+ * Each token is { negated, field, value, quoted } or an operator
+ */
+const tokenizeSearchQuery = (q) => {
+  const tokens = [];
+
+  for (const match of q.matchAll(TOKEN_PATTERN)) {
+    const [, minus, field, quotedValue, plainValue] = match;
+    const quoted = quotedValue !== undefined;
+    const value = quoted ? quotedValue : plainValue;
+
+    if (!field && !quoted && !minus && ["AND", "OR", "NOT"].includes(value)) {
+      tokens.push({ operator: value });
+      continue;
+    }
+
+    tokens.push({
+      negated: minus === "-",
+      field: field ? field.toLowerCase() : null,
+      value,
+      quoted,
+    });
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a single date bound, date-only values cover the whole UTC day
+ */
+const parseDate = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  return { date, isDay: DATE_PATTERN.test(value) };
+};
+
+/**
+ * Turn a created:/updated: value into a range condition
+ * Supports >D, >=D, <D, <=D, D and D..D
+ */
+const parseDateRange = (value) => {
+  if (value.includes("..")) {
+    const [fromValue, toValue] = value.split("..");
+    const from = fromValue ? parseDate(fromValue) : null;
+    const to = toValue ? parseDate(toValue) : null;
+
+    if ((fromValue && !from) || (toValue && !to) || (!from && !to)) {
+      return null;
+    }
+
+    const range = {};
+    if (from) range.$gte = from.date;
+    if (to) {
+      range[to.isDay ? "$lt" : "$lte"] = to.isDay
+        ? new Date(to.date.getTime() + DAY_IN_MS)
+        : to.date;
+    }
+    return range;
+  }
+
+  const [, operator, dateValue] = value.match(RANGE_PATTERN);
+  const parsed = parseDate(dateValue);
+  if (!parsed) return null;
+
+  const { date, isDay } = parsed;
+  const nextDay = new Date(date.getTime() + DAY_IN_MS);
+
+  switch (operator) {
+    case ">":
+      return isDay ? { $gte: nextDay } : { $gt: date };
+    case ">=":
+      return { $gte: date };
+    case "<":
+      return { $lt: date };
+    case "<=":
+      return isDay ? { $lt: nextDay } : { $lte: date };
+    default:
+      return isDay ? { $gte: date, $lt: nextDay } : { $eq: date };
+  }
+};
+
+/**
+ * Parse the search query language used by GET /notes?q=
+ *
+ *   words "exact phrase" -excluded
+ *   author:me | author:<email> | author:<name>
+ *   tag:a tag:b (all of) | tag:a,b or tag:a OR tag:b (any of)
+ *   -tag:a or NOT tag:a (none of)
+ *   created:>2025-01-01 | updated:2025-01-01..2025-01-31
+ *   notebook:<id> | notebook:none | notebook:"Name"
+ *
+ * Returns { parsed } or { error }
+ */
+const parseSearchQuery = (q) => {
+  if (typeof q !== "string") {
+    return { error: "Search query must be a string" };
+  }
+
+  if (q.length > MAX_QUERY_LENGTH) {
+    return {
+      error: `Search query must not exceed ${MAX_QUERY_LENGTH} characters`,
+    };
+  }
+
+  const parsed = {
+    terms: [],
+    phrases: [],
+    excludedTerms: [],
+    tagGroups: [],
+    excludedTags: [],
+    authors: [],
+    excludedAuthors: [],
+    notebooks: [],
+    excludedNotebooks: [],
+    created: null,
+    updated: null,
+  };
+
+  let negateNext = false;
+  let orNext = false;
+
+  for (const token of tokenizeSearchQuery(q)) {
+    if (token.operator) {
+      if (token.operator === "NOT") negateNext = true;
+      if (token.operator === "OR") orNext = true;
+      continue;
+    }
+
+    const negated = token.negated || negateNext;
+    const joinPrevious = orNext;
+    negateNext = false;
+    orNext = false;
+
+    const { value } = token;
+    const field = SEARCH_FIELDS.includes(token.field) ? token.field : null;
+
+    if (!field) {
+      // Unknown prefixes such as "http:" are plain text
+      const text = token.field ? `${token.field}:${value}` : value;
+      if (!text.trim()) continue;
+
+      if (negated) {
+        parsed.excludedTerms.push(token.quoted ? `"${text}"` : text);
+      } else if (token.quoted) {
+        parsed.phrases.push(text);
+      } else {
+        parsed.terms.push(text);
+      }
+      continue;
+    }
+
+    if (!value.trim()) {
+      return { error: `Missing value for ${field}:` };
+    }
+
+    switch (field) {
+      case "tag": {
+        const names = value
+          .split(",")
+          .map((name) => name.toLowerCase().trim())
+          .filter(Boolean);
+
+        if (negated) {
+          parsed.excludedTags.push(...names);
+        } else if (joinPrevious && parsed.tagGroups.length > 0) {
+          parsed.tagGroups[parsed.tagGroups.length - 1].push(...names);
+        } else {
+          parsed.tagGroups.push(names);
+        }
+        break;
+      }
+      case "author":
+        (negated ? parsed.excludedAuthors : parsed.authors).push(value);
+        break;
+      case "notebook":
+        (negated ? parsed.excludedNotebooks : parsed.notebooks).push(value);
+        break;
+      case "created":
+      case "updated": {
+        const range = parseDateRange(value);
+        if (!range) {
+          return { error: `Invalid date range for ${field}:` };
+        }
+        parsed[field] = { ...parsed[field], ...range };
+        break;
+      }
+    }
+  }
+
+  return { parsed };
+};
+
+/**
+ * Build the $text search string of a parsed query
+ */
+const buildTextSearch = (parsed) =>
+  [
+    ...parsed.terms,
+    ...parsed.phrases.map((phrase) => `"${phrase.replace(/"/g, "")}"`),
+    ...parsed.excludedTerms.map((term) => `-${term}`),
+  ].join(" ");
+
+/**
+ * Resolve author values to user ids of the account
+ */
+const resolveAuthors = async (values, accountId, userId) => {
+  const ids = [];
+
+  for (const value of values) {
+    if (value.toLowerCase() === "me") {
+      ids.push(userId);
+      continue;
+    }
+
+    const users = await User.find({
+      account: accountId,
+      ...(value.includes("@")
+        ? { email: value.toLowerCase() }
+        : { name: { $regex: escapeRegex(value), $options: "i" } }),
+    }).select("_id");
+
+    ids.push(...users.map((user) => user._id));
+  }
+
+  return ids;
+};
+
+/**
+ * Resolve notebook values (id, "none" or name) to notebook ids
+ */
+const resolveNotebooks = async (values, accountId) => {
+  const ids = [];
+
+  for (const value of values) {
+    if (value.toLowerCase() === "none") {
+      ids.push(null);
+    } else if (OBJECT_ID_PATTERN.test(value)) {
+      ids.push(new mongoose.Types.ObjectId(value));
+    } else {
+      const notebooks = await Notebook.find({
+        account: accountId,
+        name: { $regex: `^${escapeRegex(value)}$`, $options: "i" },
+      }).select("_id");
+
+      ids.push(...notebooks.map((notebook) => notebook._id));
+    }
+  }
+
+  return ids;
+};
+
+/**
+ * Resolve tag names to tag ids of the account
+ */
+const resolveTags = (names, accountId) =>
+  Tag.find({
+    account: accountId,
+    tagName: { $in: names },
+  }).distinct("_id");
+
+/**
+ * Build the MongoDB conditions of a parsed query
+ * Returns { conditions, textSearch } where conditions go into an $and
+ */
+const buildSearchConditions = async (parsed, accountId, userId) => {
+  const conditions = [];
+
+  for (const group of parsed.tagGroups) {
+    conditions.push({ tags: { $in: await resolveTags(group, accountId) } });
+  }
+
+  if (parsed.excludedTags.length > 0) {
+    conditions.push({
+      tags: { $nin: await resolveTags(parsed.excludedTags, accountId) },
+    });
+  }
+
+  if (parsed.authors.length > 0) {
+    conditions.push({
+      user: { $in: await resolveAuthors(parsed.authors, accountId, userId) },
+    });
+  }
+
+  if (parsed.excludedAuthors.length > 0) {
+    conditions.push({
+      user: {
+        $nin: await resolveAuthors(parsed.excludedAuthors, accountId, userId),
+      },
+    });
+  }
+
+  if (parsed.notebooks.length > 0) {
+    conditions.push({
+      notebook: { $in: await resolveNotebooks(parsed.notebooks, accountId) },
+    });
+  }
+
+  if (parsed.excludedNotebooks.length > 0) {
+    conditions.push({
+      notebook: {
+        $nin: await resolveNotebooks(parsed.excludedNotebooks, accountId),
+      },
+    });
+  }
+
+  if (parsed.created) {
+    conditions.push({ createdAt: parsed.created });
+  }
+
+  if (parsed.updated) {
+    conditions.push({ updatedAt: parsed.updated });
+  }
+
+  // $text matches nothing without a positive term, so excluded terms
+  // alone filter the title and description instead
+  const hasPositiveTerms = parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+  if (!hasPositiveTerms && parsed.excludedTerms.length > 0) {
+    conditions.push({
+      $nor: parsed.excludedTerms.flatMap((term) => {
+        const pattern = escapeRegex(term.replace(/"/g, ""));
+        return [
+          { title: { $regex: pattern, $options: "i" } },
+          { description: { $regex: pattern, $options: "i" } },
+        ];
+      }),
+    });
+  }
+
+  return {
+    conditions,
+    textSearch: hasPositiveTerms ? buildTextSearch(parsed) : "",
+  };
+};
+
+/**
+ * Build a snippet around the first match of any term, matches are
+ * wrapped in <mark> and the rest is HTML escaped
+ * Returns null when no term appears literally in the text
+ */
+const buildSnippet = (text, terms, radius = SNIPPET_RADIUS) => {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(
+    terms
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegex)
+      .join("|"),
+    "gi"
+  );
+
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - radius);
+  const end = Math.min(text.length, first.index + first[0].length + radius);
+  const excerpt = text.slice(start, end);
+
+  let snippet = "";
+  let last = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    snippet += escapeHtml(excerpt.slice(last, match.index));
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  snippet += escapeHtml(excerpt.slice(last));
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+};
+
+/**
+ * Get the words and phrases to highlight from a plain search and a q query
+ */
+const getHighlightTerms = (search, parsed) => {
+  const terms = [];
+
+  if (search) {
+    for (const token of tokenizeSearchQuery(search)) {
+      if (token.value && !token.negated) terms.push(token.value);
+    }
+  }
+
+  if (parsed) {
+    terms.push(...parsed.terms, ...parsed.phrases);
+  }
+
+  return [...new Set(terms.filter((term) => term.trim()))];
+};
+
+/**
+ * Build the title and description highlights of a note
+ */
+const buildHighlights = (note, terms) => ({
+  title: buildSnippet(note.title, [...terms], note.title.length),
+  description: buildSnippet(note.description, [...terms]),
+});
+
+module.exports = {
+  tokenizeSearchQuery,
+  parseSearchQuery,
+  buildSearchConditions,
+  getHighlightTerms,
+  buildHighlights,
+};
@@ -0,0 +1,131 @@
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const {
+  generateToken,
+  generateSecureToken,
+  hashToken,
+} = require("./helpers");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const MAX_DEVICE_LENGTH = 100;
+const MAX_USER_AGENT_LENGTH = 500;
+
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Chrome", /Chrome\//],
+  ["Firefox", /Firefox\//],
+  ["Safari", /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ["Android", /Android/],
+  ["iOS", /iPhone|iPad/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+/**
+ * Lifetime of a refresh token, renewed on every rotation
+ */
+const getRefreshTokenExpiry = (now = new Date()) => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return new Date(now.getTime() + days * DAY_IN_MS);
+};
+
+/**
+ * Describe a device from its user agent, e.g. "Chrome on Windows"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && os) return `${browser[0]} on ${os[0]}`;
+  if (browser || os) return (browser || os)[0];
+
+  return userAgent.slice(0, MAX_DEVICE_LENGTH);
+};
+
+/**
+ * Read the device details of a request, a client may name its device
+ */
+const getClientInfo = (req) => {
+  const userAgent = req.get("User-Agent") || null;
+  const device =
+    typeof req.body?.device === "string" && req.body.device.trim()
+      ? req.body.device.trim().slice(0, MAX_DEVICE_LENGTH)
+      : describeDevice(userAgent);
+
+  return {
+    device,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+  };
+};
+
+/**
+ * Store a new refresh token for a session family
+ * Returns { session, refreshToken }, the raw token is never stored
+ */
+const createSession = async (user, clientInfo, family) => {
+  const refreshToken = generateSecureToken();
+
+  const session = await Session.create({
+    user: user._id,
+    account: user.account._id || user.account,
+    family: family || new mongoose.Types.ObjectId(),
+    refreshTokenHash: hashToken(refreshToken),
+    ...clientInfo,
+    lastUsedAt: new Date(),
+    expiresAt: getRefreshTokenExpiry(),
+  });
+
+  return { session, refreshToken };
+};
+
+/**
+ * Build the token response of a session: an access token bound to the
+ * session family and the refresh token used to renew it
+ */
+const buildTokenResponse = (user, session, refreshToken) => {
+  const token = generateToken({
+    userId: user._id,
+    accountId: user.account._id || user.account,
+    role: user.role.roleName,
+    sid: session.family,
+  });
+
+  return {
+    token,
+    tokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session.family,
+  };
+};
+
+/**
+ * Format a session for API responses
+ */
+const formatSession = (session, currentSessionId) => ({
+  id: session.family,
+  device: session.device,
+  ip: session.ip,
+  userAgent: session.userAgent,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session.family.toString() === String(currentSessionId),
+});
+
+module.exports = {
+  getRefreshTokenExpiry,
+  describeDevice,
+  getClientInfo,
+  createSession,
+  buildTokenResponse,
+  formatSession,
+};
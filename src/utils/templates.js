@@ -0,0 +1,110 @@
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w.]*)\s*\}\}/g;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][\w.]*$/;
+
+const MAX_VARIABLES = 50;
+const MAX_VARIABLE_LENGTH = 1000;
+
+// Variables filled from the current user, callers cannot override them
+const RESERVED_PREFIX = "user.";
+
+/**
+ * Check custom variable values sent when instantiating a template
+ * Returns an error message or null
+ */
+const validateTemplateVariables = (variables) => {
+  if (
+    variables === null ||
+    typeof variables !== "object" ||
+    Array.isArray(variables)
+  ) {
+    return "Variables must be an object";
+  }
+
+  const entries = Object.entries(variables);
+
+  if (entries.length > MAX_VARIABLES) {
+    return `Maximum ${MAX_VARIABLES} variables allowed`;
+  }
+
+  for (const [name, value] of entries) {
+    if (!VARIABLE_NAME_PATTERN.test(name)) {
+      return `Invalid variable name "${name}"`;
+    }
+
+    if (name.startsWith(RESERVED_PREFIX)) {
+      return `Variable "${name}" is reserved`;
+    }
+
+    if (!["string", "number", "boolean"].includes(typeof value)) {
+      return `Variable "${name}" must be a string, number or boolean`;
+    }
+
+    if (String(value).length > MAX_VARIABLE_LENGTH) {
+      return `Variable "${name}" must not exceed ${MAX_VARIABLE_LENGTH} characters`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the values available to placeholders
+ * {{date}}, {{time}} and {{datetime}} are UTC and can be overridden
+ */
+const buildTemplateVariables = (user, variables = {}, now = new Date()) => {
+  const iso = now.toISOString();
+
+  return {
+    date: iso.slice(0, 10),
+    time: iso.slice(11, 16),
+    datetime: iso,
+    ...variables,
+    "user.name": user.name,
+    "user.email": user.email,
+  };
+};
+
+/**
+ * Replace {{placeholders}} in a string
+ * Unknown placeholders are kept so they can be filled in by hand
+ */
+const renderTemplate = (text, values) =>
+  (text || "").replace(PLACEHOLDER_PATTERN, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name)
+      ? String(values[name])
+      : match
+  );
+
+/**
+ * List the placeholder names used by a template
+ */
+const getTemplateVariables = (template) => {
+  const names = new Set();
+  const sources = [template.title, template.description, ...template.tags];
+
+  for (const source of sources) {
+    for (const match of (source || "").matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1]);
+    }
+  }
+
+  return [...names];
+};
+
+/**
+ * Render the note fields of a template
+ */
+const renderNoteTemplate = (template, values) => ({
+  title: renderTemplate(template.title, values),
+  description: renderTemplate(template.description, values),
+  format: template.format,
+  tags: template.tags.map((tagName) => renderTemplate(tagName, values)),
+});
+
+module.exports = {
+  validateTemplateVariables,
+  buildTemplateVariables,
+  renderTemplate,
+  getTemplateVariables,
+  renderNoteTemplate,
+};
@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const { verifyTotp } = require("./totp");
+const { generateToken, verifyToken, hashToken } = require("./helpers");
+
+const RECOVERY_CODE_COUNT = 10;
+const MFA_CHALLENGE_TYPE = "mfa_challenge";
+const MFA_CHALLENGE_EXPIRE = "5m";
+
+/**
+ * Recovery codes are compared without case, spaces or dashes
+ */
+const normalizeRecoveryCode = (code) =>
+  String(code).toLowerCase().replace(/[\s-]/g, "");
+
+/**
+ * Generate a new set of recovery codes, e.g. 3f9a1-c07be
+ * Returns { codes, hashedCodes }, only the hashes are stored
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashedCodes: codes.map((code) => ({
+      hash: hashToken(normalizeRecoveryCode(code)),
+      usedAt: null,
+    })),
+  };
+};
+
+/**
+ * Check a TOTP code or a recovery code of a user with 2FA enabled
+ * Accepted codes are consumed atomically so each works only once
+ * Returns { valid, usedRecoveryCode }
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: userId,
+        twoFactorEnabled: true,
+        twoFactorRecoveryCodes: {
+          $elemMatch: {
+            hash: hashToken(normalizeRecoveryCode(recoveryCode)),
+            usedAt: null,
+          },
+        },
+      },
+      { $set: { "twoFactorRecoveryCodes.$.usedAt": new Date() } },
+      { timestamps: false }
+    );
+
+    return { valid: modifiedCount === 1, usedRecoveryCode: true };
+  }
+
+  const user = await User.findById(userId).select(
+    "+twoFactorSecret +twoFactorLastStep"
+  );
+
+  if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) {
+    return { valid: false, usedRecoveryCode: false };
+  }
+
+  const step = verifyTotp(user.twoFactorSecret, code);
+  if (step === null) {
+    return { valid: false, usedRecoveryCode: false };
+  }
+
+  // Claim the time step, a replayed code matches nothing
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: userId,
+      $or: [{ twoFactorLastStep: { $lt: step } }, { twoFactorLastStep: null }],
+    },
+    { twoFactorLastStep: step },
+    { timestamps: false }
+  );
+
+  return { valid: modifiedCount === 1, usedRecoveryCode: false };
+};
+
+/**
+ * Count the recovery codes a user has not used yet
+ */
+const countRecoveryCodes = (user) =>
+  (user.twoFactorRecoveryCodes || []).filter((entry) => !entry.usedAt).length;
+
+/**
+ * Issue the short-lived token proving the password step of a 2FA login
+ */
+const generateMfaChallenge = (user) =>
+  generateToken(
+    { userId: user._id, type: MFA_CHALLENGE_TYPE },
+    MFA_CHALLENGE_EXPIRE
+  );
+
+/**
+ * Read an MFA challenge token, returns its payload or null
+ */
+const verifyMfaChallenge = (token) => {
+  try {
+    const payload = verifyToken(token);
+    return payload.type === MFA_CHALLENGE_TYPE ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  generateRecoveryCodes,
+  verifySecondFactor,
+  countRecoveryCodes,
+  generateMfaChallenge,
+  verifyMfaChallenge,
+};
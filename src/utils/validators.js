@@ -1,4 +1,5 @@
 const Joi = require("joi");
+const { EMAIL_VERIFICATION_POLICIES } = require("./constants");
 
 /**
  * Validation schemas
@@ -37,20 +38,114 @@ const loginSchema = Joi.object({
 });
 
 const inviteUserSchema = Joi.object({
-  email: Joi.string().email().required().messages({
+  email: Joi.string().email().lowercase().required().messages({
     "string.email": "Please provide a valid email address",
     "any.required": "Email is required",
   }),
-  name: Joi.string().min(2).max(50).required().messages({
+  // Suggested name, the invitee may change it when accepting
+  name: Joi.string().min(2).max(50).messages({
     "string.min": "Name must be at least 2 characters long",
     "string.max": "Name must not exceed 50 characters",
-    "any.required": "Name is required",
   }),
   role: Joi.string().valid("admin", "member").default("member").messages({
     "any.only": "Role must be either admin or member",
   }),
 });
 
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().lowercase().required().messages({
+    "string.email": "Please provide a valid email address",
+    "any.required": "Email is required",
+  }),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required().messages({
+    "any.required": "Reset token is required",
+  }),
+  password: Joi.string().min(6).max(100).required().messages({
+    "string.min": "Password must be at least 6 characters long",
+    "string.max": "Password must not exceed 100 characters",
+    "any.required": "Password is required",
+  }),
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required().messages({
+    "any.required": "Verification token is required",
+  }),
+});
+
+// Email is only needed when the user is not logged in
+const resendVerificationSchema = Joi.object({
+  email: Joi.string().email().lowercase().messages({
+    "string.email": "Please provide a valid email address",
+  }),
+});
+
+const changeEmailSchema = Joi.object({
+  email: Joi.string().email().lowercase().required().messages({
+    "string.email": "Please provide a valid email address",
+    "any.required": "Email is required",
+  }),
+  currentPassword: Joi.string().required().messages({
+    "any.required": "Current password is required",
+  }),
+});
+
+const twoFactorCode = Joi.string()
+  .pattern(/^\d{6}$/)
+  .messages({
+    "string.pattern.base": "Code must be 6 digits",
+    "any.required": "Code is required",
+  });
+
+const twoFactorCodeSchema = Joi.object({
+  code: twoFactorCode.required(),
+});
+
+// A TOTP code or, when the device is lost, a recovery code
+const secondFactorFields = {
+  code: twoFactorCode,
+  recoveryCode: Joi.string().max(20),
+};
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    "any.required": "Challenge token is required",
+  }),
+  ...secondFactorFields,
+})
+  .xor("code", "recoveryCode")
+  .messages({
+    "object.missing": "Code or recovery code is required",
+    "object.xor": "Provide either a code or a recovery code",
+  });
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required().messages({
+    "any.required": "Password is required",
+  }),
+  ...secondFactorFields,
+})
+  .xor("code", "recoveryCode")
+  .messages({
+    "object.missing": "Code or recovery code is required",
+    "object.xor": "Provide either a code or a recovery code",
+  });
+
+const acceptInvitationSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(50).messages({
+    "string.min": "Name must be at least 2 characters long",
+    "string.max": "Name must not exceed 50 characters",
+  }),
+  password: Joi.string().min(6).max(100).required().messages({
+    "string.min": "Password must be at least 6 characters long",
+    "string.max": "Password must not exceed 100 characters",
+    "any.required": "Password is required",
+  }),
+});
+
 const changePasswordSchema = Joi.object({
   currentPassword: Joi.string().required().messages({
     "any.required": "Current password is required",
@@ -63,19 +158,59 @@ const changePasswordSchema = Joi.object({
 });
 
 const createNoteSchema = Joi.object({
-  title: Joi.string().min(1).max(200).required().messages({
-    "string.min": "Title cannot be empty",
-    "string.max": "Title must not exceed 200 characters",
-    "any.required": "Title is required",
-  }),
+  // Title comes from the template when one is used
+  title: Joi.string()
+    .min(1)
+    .max(200)
+    .when("templateId", { is: Joi.exist(), otherwise: Joi.required() })
+    .messages({
+      "string.min": "Title cannot be empty",
+      "string.max": "Title must not exceed 200 characters",
+      "any.required": "Title is required",
+    }),
   description: Joi.string().max(10000).allow("").messages({
     "string.max": "Description must not exceed 10000 characters",
   }),
+  format: Joi.string().valid("plain", "markdown").messages({
+    "any.only": "Format must be either plain or markdown",
+  }),
   tags: Joi.array().items(Joi.string().min(1).max(50)).max(20).messages({
     "array.max": "Maximum 20 tags allowed",
     "string.min": "Tag cannot be empty",
     "string.max": "Tag must not exceed 50 characters",
   }),
+  notebook: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null)
+    .messages({
+      "string.pattern.base": "Invalid notebook ID format",
+    }),
+  dueAt: Joi.date().iso().allow(null).messages({
+    "date.base": "Due date must be a valid date",
+    "date.format": "Due date must be an ISO 8601 date",
+  }),
+  remindAt: Joi.date().iso().allow(null).messages({
+    "date.base": "Reminder date must be a valid date",
+    "date.format": "Reminder date must be an ISO 8601 date",
+  }),
+  templateId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.pattern.base": "Invalid template ID format",
+    }),
+  variables: Joi.object()
+    .pattern(
+      /^[A-Za-z_][\w.]*$/,
+      Joi.alternatives().try(
+        Joi.string().max(1000),
+        Joi.number(),
+        Joi.boolean()
+      )
+    )
+    .max(50)
+    .messages({
+      "object.max": "Maximum 50 variables allowed",
+    }),
 });
 
 const updateNoteSchema = Joi.object({
@@ -86,11 +221,28 @@ const updateNoteSchema = Joi.object({
   description: Joi.string().max(10000).allow("").messages({
     "string.max": "Description must not exceed 10000 characters",
   }),
+  format: Joi.string().valid("plain", "markdown").messages({
+    "any.only": "Format must be either plain or markdown",
+  }),
   tags: Joi.array().items(Joi.string().min(1).max(50)).max(20).messages({
     "array.max": "Maximum 20 tags allowed",
     "string.min": "Tag cannot be empty",
     "string.max": "Tag must not exceed 50 characters",
   }),
+  notebook: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null)
+    .messages({
+      "string.pattern.base": "Invalid notebook ID format",
+    }),
+  dueAt: Joi.date().iso().allow(null).messages({
+    "date.base": "Due date must be a valid date",
+    "date.format": "Due date must be an ISO 8601 date",
+  }),
+  remindAt: Joi.date().iso().allow(null).messages({
+    "date.base": "Reminder date must be a valid date",
+    "date.format": "Reminder date must be an ISO 8601 date",
+  }),
 });
 
 const paginationSchema = Joi.object({
@@ -107,6 +259,7 @@ const paginationSchema = Joi.object({
     "string.max": "Search query must not exceed 200 characters",
   }),
   tags: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())),
+  notebook: Joi.string(),
 });
 
 const verifyPaymentSchema = Joi.object({
@@ -128,6 +281,68 @@ const verifyPaymentSchema = Joi.object({
     }),
 });
 
+const accountSettingsSchema = Joi.object({
+  trashRetentionDays: Joi.number().integer().min(1).max(365).messages({
+    "number.integer": "Trash retention must be a whole number of days",
+    "number.min": "Trash retention must be at least 1 day",
+    "number.max": "Trash retention must not exceed 365 days",
+  }),
+  publicLinksEnabled: Joi.boolean().messages({
+    "boolean.base": "Public links setting must be true or false",
+  }),
+  countArchivedNotes: Joi.boolean().messages({
+    "boolean.base": "Count archived notes setting must be true or false",
+  }),
+  emailVerificationPolicy: Joi.string()
+    .valid(...Object.values(EMAIL_VERIFICATION_POLICIES))
+    .messages({
+      "any.only": `Email verification policy must be one of: ${Object.values(
+        EMAIL_VERIFICATION_POLICIES
+      ).join(", ")}`,
+    }),
+  requireTwoFactor: Joi.boolean().messages({
+    "boolean.base": "Require two-factor setting must be true or false",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one setting must be provided",
+  });
+
+const templateFields = {
+  name: Joi.string().trim().min(1).max(100).messages({
+    "string.empty": "Template name cannot be empty",
+    "string.max": "Template name must not exceed 100 characters",
+    "any.required": "Template name is required",
+  }),
+  title: Joi.string().trim().min(1).max(200).messages({
+    "string.empty": "Title cannot be empty",
+    "string.max": "Title must not exceed 200 characters",
+    "any.required": "Title is required",
+  }),
+  description: Joi.string().max(10000).allow("").messages({
+    "string.max": "Description must not exceed 10000 characters",
+  }),
+  format: Joi.string().valid("plain", "markdown").messages({
+    "any.only": "Format must be either plain or markdown",
+  }),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(50)).max(20).messages({
+    "array.max": "Maximum 20 tags allowed",
+    "string.empty": "Tag cannot be empty",
+    "string.max": "Tag must not exceed 50 characters",
+  }),
+};
+
+const createTemplateSchema = Joi.object({
+  ...templateFields,
+  name: templateFields.name.required(),
+  title: templateFields.title.required(),
+});
+
+const updateTemplateSchema = Joi.object(templateFields).min(1).messages({
+  "object.min": "At least one field must be provided",
+});
+
 /**
  * Validation middleware factory
  */
@@ -170,11 +385,23 @@ module.exports = {
   registerSchema,
   loginSchema,
   inviteUserSchema,
+  acceptInvitationSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  changeEmailSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  disableTwoFactorSchema,
   changePasswordSchema,
   createNoteSchema,
   updateNoteSchema,
   paginationSchema,
   verifyPaymentSchema,
+  accountSettingsSchema,
+  createTemplateSchema,
+  updateTemplateSchema,
 
   // Middleware
   validate,
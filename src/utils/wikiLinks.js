@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// [[Note Title]], [[note:<id>]] and an optional label: [[Note Title|label]]
+const WIKI_LINK_PATTERN = /\[\[([^[\]|\n]+)(?:\|[^[\]\n]*)?\]\]/g;
+const ID_LINK_PREFIX = "note:";
+const MAX_LINKS = 200;
+
+/**
+ * Normalize a title for case-insensitive link matching
+ */
+const normalizeLinkTitle = (title) =>
+  title.trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Extract unique wiki links from a text
+ * Returns [{ raw, noteId }] for id links and [{ raw, title, key }] for titles
+ */
+const parseWikiLinks = (text) => {
+  if (!text) return [];
+
+  const links = new Map();
+
+  for (const match of text.matchAll(WIKI_LINK_PATTERN)) {
+    const raw = match[1].trim();
+    if (!raw) continue;
+
+    if (raw.toLowerCase().startsWith(ID_LINK_PREFIX)) {
+      const noteId = raw.slice(ID_LINK_PREFIX.length).trim();
+      if (mongoose.isValidObjectId(noteId) && !links.has(`id:${noteId}`)) {
+        links.set(`id:${noteId}`, { raw, noteId });
+      }
+    } else {
+      const key = normalizeLinkTitle(raw);
+      if (!links.has(`title:${key}`)) {
+        links.set(`title:${key}`, { raw, title: raw, key });
+      }
+    }
+
+    if (links.size >= MAX_LINKS) break;
+  }
+
+  return [...links.values()];
+};
+
+module.exports = {
+  normalizeLinkTitle,
+  parseWikiLinks,
+};